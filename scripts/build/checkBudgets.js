@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Performance Budget Checker
+ *
+ * Checks every root HTML page of the built site against the budgets that
+ * PerformanceMonitor enforces at runtime (data/performance-budgets.json):
+ * - scriptKB: gzipped size of the page's local scripts
+ * - imageKB: size of the images referenced by <img src>
+ * - thirdPartyRequests: other-origin scripts, stylesheets, images and frames,
+ *   including @imports in local stylesheets
+ *
+ * Only what the HTML references is counted, so images and widgets added by
+ * scripts (projects, Smartsupp) show up in the runtime check alone. LCP can
+ * only be measured in a browser.
+ *
+ * Usage:
+ *   node scripts/build/checkBudgets.js [--dir <site root>]
+ *
+ * Exits with 1 when any page is over budget.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// The same budget matching PerformanceMonitor applies at runtime
+const { resolveBudgets } = require("../utils/performance");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const BUDGETS_FILE = "data/performance-budgets.json";
+
+const OFFLINE_BUDGETS = ["scriptKB", "imageKB", "thirdPartyRequests"];
+
+// <link> types that don't fetch anything on page load
+const NON_FETCHING_RELS = /^(canonical|preconnect|dns-prefetch|alternate)$/;
+
+const EXTERNAL_URL = /^(?:[a-z]+:)?\/\//i;
+
+function parseArgs(argv) {
+  const dirIndex = argv.indexOf("--dir");
+
+  return {
+    siteDir: dirIndex !== -1 ? path.resolve(argv[dirIndex + 1]) : ROOT_DIR,
+  };
+}
+
+function toKB(bytes) {
+  return Math.round(bytes / 102.4) / 10;
+}
+
+class PageAnalyzer {
+  constructor(siteDir) {
+    this.siteDir = siteDir;
+  }
+
+  // File path of a local reference, or null if it isn't on disk
+  resolveLocal(reference, fromFile) {
+    const url = reference.split(/[?#]/)[0];
+    if (!url || /^(?:data|mailto|tel):/i.test(url)) return null;
+
+    const relativePath = url.startsWith("/")
+      ? url.slice(1)
+      : path.join(path.dirname(fromFile), url);
+    const filePath = path.join(this.siteDir, relativePath);
+
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+      ? filePath
+      : null;
+  }
+
+  // Attribute values of matching tags, e.g. every <script src>
+  findAttributes(html, tag, attribute) {
+    const tagPattern = new RegExp(`<${tag}\\b[^>]*>`, "gi");
+    const attributePattern = new RegExp(
+      `\\s${attribute}=(["'])([^"']+)\\1`,
+      "i"
+    );
+
+    return (html.match(tagPattern) || [])
+      .map((element) => {
+        const match = element.match(attributePattern);
+        return match ? { element, value: match[2] } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // External URLs @imported by a stylesheet, following local imports
+  findCssThirdParty(filePath, seen = new Set()) {
+    if (seen.has(filePath)) return [];
+    seen.add(filePath);
+
+    const css = fs.readFileSync(filePath, "utf8");
+    const imports = [
+      ...css.matchAll(/@import\s+(?:url\(\s*)?(["'])([^"']+)\1/g),
+    ].map((match) => match[2]);
+
+    return imports.flatMap((reference) => {
+      if (EXTERNAL_URL.test(reference)) return [reference];
+
+      const local = this.resolveLocal(
+        reference,
+        path.relative(this.siteDir, filePath)
+      );
+      return local ? this.findCssThirdParty(local, seen) : [];
+    });
+  }
+
+  analyze(page) {
+    const html = fs.readFileSync(path.join(this.siteDir, page), "utf8");
+    const thirdParty = new Set();
+    let scriptBytes = 0;
+    let imageBytes = 0;
+
+    this.findAttributes(html, "script", "src").forEach(({ value }) => {
+      if (EXTERNAL_URL.test(value)) {
+        thirdParty.add(value);
+        return;
+      }
+
+      const filePath = this.resolveLocal(value, page);
+      if (filePath) {
+        scriptBytes += zlib.gzipSync(fs.readFileSync(filePath)).length;
+      }
+    });
+
+    this.findAttributes(html, "img", "src").forEach(({ value }) => {
+      if (EXTERNAL_URL.test(value)) {
+        thirdParty.add(value);
+        return;
+      }
+
+      const filePath = this.resolveLocal(value, page);
+      if (filePath) {
+        imageBytes += fs.statSync(filePath).size;
+      }
+    });
+
+    this.findAttributes(html, "iframe", "src").forEach(({ value }) => {
+      if (EXTERNAL_URL.test(value)) thirdParty.add(value);
+    });
+
+    this.findAttributes(html, "link", "href").forEach(({ element, value }) => {
+      const rel = (element.match(/\srel=(["'])([^"']+)\1/i) || [])[2] || "";
+      if (NON_FETCHING_RELS.test(rel)) return;
+
+      if (EXTERNAL_URL.test(value)) {
+        thirdParty.add(value);
+        return;
+      }
+
+      const filePath = this.resolveLocal(value, page);
+      if (filePath && rel === "stylesheet") {
+        this.findCssThirdParty(filePath).forEach((url) => thirdParty.add(url));
+      }
+    });
+
+    return {
+      scriptKB: toKB(scriptBytes),
+      imageKB: toKB(imageBytes),
+      thirdPartyRequests: thirdParty.size,
+    };
+  }
+}
+
+function findPages(siteDir) {
+  return fs
+    .readdirSync(siteDir)
+    .filter((file) => file.endsWith(".html"))
+    .sort();
+}
+
+function checkBudgets(siteDir = ROOT_DIR) {
+  const config = JSON.parse(
+    fs.readFileSync(path.join(siteDir, BUDGETS_FILE), "utf8")
+  );
+  const analyzer = new PageAnalyzer(siteDir);
+  const violations = [];
+
+  findPages(siteDir).forEach((page) => {
+    const pathname = page === "index.html" ? "/" : `/${page}`;
+    const budgets = resolveBudgets(config, pathname);
+    const actuals = analyzer.analyze(page);
+
+    console.log(`\n📄 ${pathname}`);
+
+    OFFLINE_BUDGETS.forEach((name) => {
+      const limit = budgets[name];
+      if (limit === undefined) return;
+
+      const over = actuals[name] > limit;
+      console.log(
+        `   ${over ? "❌" : "✅"} ${name}: ${actuals[name]} / ${limit}`
+      );
+
+      if (over) {
+        violations.push({
+          page: pathname,
+          budget: name,
+          actual: actuals[name],
+          limit,
+        });
+      }
+    });
+  });
+
+  return violations;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const { siteDir } = parseArgs(argv);
+  const violations = checkBudgets(siteDir);
+
+  console.log("\nℹ️ lcpMs is checked at runtime by PerformanceMonitor");
+
+  if (violations.length > 0) {
+    console.error(`\n❌ ${violations.length} performance budget(s) exceeded`);
+    process.exit(1);
+  }
+
+  console.log("\n✅ All pages are within their performance budgets");
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkBudgets, resolveBudgets, PageAnalyzer };
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * App Image Generator
+ *
+ * Produces the install-time images for manifest.json:
+ * - Maskable icons, padded so the logo stays inside the safe zone when a
+ *   platform crops the icon to a circle or squircle
+ * - Wide and narrow screenshots of the home page for the richer install UI.
+ *   None have been committed yet, so manifest.json has no `screenshots`
+ *   block and browsers show the basic install prompt. After running this,
+ *   commit assets/images/screenshots and add an entry per file with its
+ *   form_factor ("wide" or "narrow")
+ *
+ * Usage:
+ *   node scripts/build/generateAppImages.js [--icons] [--screenshots]
+ *
+ * With no flags both are generated. Icons require sharp and screenshots
+ * require puppeteer, neither of which is a site dependency. Install them
+ * locally with `npm install --no-save sharp puppeteer` before running.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const ICON_SOURCE = path.join(ROOT_DIR, "assets/icons/icon-512x512.png");
+const ICON_DIR = path.join(ROOT_DIR, "assets/icons");
+const SCREENSHOT_DIR = path.join(ROOT_DIR, "assets/images/screenshots");
+
+const MASKABLE_SIZES = [192, 512];
+
+// Maskable icons may be cropped to a circle 80% of their width
+const MASKABLE_CONTENT_RATIO = 0.8;
+const MASKABLE_BACKGROUND = "#2563EB"; // manifest theme_color
+
+const SCREENSHOTS = [
+  { name: "home-wide", path: "/", width: 1280, height: 720 },
+  { name: "home-narrow", path: "/", width: 390, height: 844 },
+  { name: "services-narrow", path: "/#services", width: 390, height: 844 },
+];
+
+const MIME_TYPES = {
+  ".html": "text/html",
+  ".css": "text/css",
+  ".js": "application/javascript",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+function loadDependency(name, purpose) {
+  try {
+    return require(name);
+  } catch (error) {
+    console.error(
+      `❌ ${name} is required to generate ${purpose}. Run \`npm install --no-save ${name}\` and try again.`
+    );
+    process.exit(1);
+  }
+}
+
+// puppeteer-core works too when PUPPETEER_EXECUTABLE_PATH points at a browser
+function loadPuppeteer() {
+  try {
+    return require("puppeteer");
+  } catch (error) {
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+      try {
+        return require("puppeteer-core");
+      } catch (coreError) {
+        // Fall through to the install hint
+      }
+    }
+
+    return loadDependency("puppeteer", "screenshots");
+  }
+}
+
+function parseArgs(argv) {
+  const icons = argv.includes("--icons");
+  const screenshots = argv.includes("--screenshots");
+
+  return {
+    icons: icons || !screenshots,
+    screenshots: screenshots || !icons,
+  };
+}
+
+async function generateMaskableIcons() {
+  const sharp = loadDependency("sharp", "icons");
+
+  for (const size of MASKABLE_SIZES) {
+    const contentSize = Math.round(size * MASKABLE_CONTENT_RATIO);
+    const padding = Math.floor((size - contentSize) / 2);
+    const outputPath = path.join(ICON_DIR, `maskable-${size}x${size}.png`);
+
+    await sharp(ICON_SOURCE)
+      .resize(contentSize, contentSize)
+      .extend({
+        top: padding,
+        bottom: size - contentSize - padding,
+        left: padding,
+        right: size - contentSize - padding,
+        background: MASKABLE_BACKGROUND,
+      })
+      .png({ compressionLevel: 9 })
+      .toFile(outputPath);
+
+    console.log(`✅ ${path.relative(ROOT_DIR, outputPath)}`);
+  }
+}
+
+// Minimal static server so the screenshots match what Netlify serves
+function startStaticServer() {
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    let filePath = path.join(ROOT_DIR, decodeURIComponent(pathname));
+
+    if (!filePath.startsWith(ROOT_DIR)) {
+      response.writeHead(403);
+      response.end();
+      return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+    }
+
+    fs.readFile(filePath, (error, content) => {
+      if (error) {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, {
+        "Content-Type":
+          MIME_TYPES[path.extname(filePath)] || "application/octet-stream",
+      });
+      response.end(content);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function generateScreenshots() {
+  const puppeteer = loadPuppeteer();
+  const sharp = loadDependency("sharp", "screenshots");
+  const server = await startStaticServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const browser = await puppeteer.launch({
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+  });
+
+  fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+
+  try {
+    for (const shot of SCREENSHOTS) {
+      const page = await browser.newPage();
+      await page.setViewport({ width: shot.width, height: shot.height });
+
+      // Third-party widgets (chat, reviews) aren't part of the app UI
+      await page.setRequestInterception(true);
+      page.on("request", (request) => {
+        if (new URL(request.url()).origin === origin) {
+          request.continue();
+        } else {
+          request.abort();
+        }
+      });
+
+      // Screenshots show the page as a returning, installed visitor sees it
+      await page.evaluateOnNewDocument(() => {
+        localStorage.setItem(
+          "installCoach",
+          JSON.stringify({ dismissals: 1, dismissedAt: Date.now() })
+        );
+      });
+
+      await page.goto(`${origin}${shot.path}`, {
+        waitUntil: "load",
+        timeout: 30000,
+      });
+
+      const hash = new URL(shot.path, origin).hash;
+      if (hash) {
+        await page.evaluate((selector) => {
+          document.querySelector(selector).scrollIntoView();
+        }, hash);
+      }
+
+      // Let entrance animations and lazy images settle
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+
+      const outputPath = path.join(SCREENSHOT_DIR, `${shot.name}.webp`);
+      await sharp(await page.screenshot({ type: "png" }))
+        .webp({ quality: 80 })
+        .toFile(outputPath);
+
+      await page.close();
+      console.log(`✅ ${path.relative(ROOT_DIR, outputPath)}`);
+    }
+  } finally {
+    await browser.close();
+    server.close();
+  }
+}
+
+async function generateAppImages(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  if (options.icons) {
+    await generateMaskableIcons();
+  }
+
+  if (options.screenshots) {
+    await generateScreenshots();
+  }
+}
+
+if (require.main === module) {
+  generateAppImages().catch((error) => {
+    console.error("❌ App image generation failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { generateAppImages, SCREENSHOTS, MASKABLE_SIZES };
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Image Manifest Generator
+ *
+ * Scans assets/images, writes resized variants to assets/images/optimized and
+ * produces assets/images/image-manifest.json for ImageManifestLoader:
+ * - thumbnail/medium/large/xlarge sizes, each with an @2x density
+ * - AVIF, WebP and JPEG (PNG for images with transparency)
+ * - Skips variants that are already newer than their source image
+ *
+ * Usage:
+ *   node scripts/build/generateImageManifest.js [--force] [--no-avif]
+ *
+ * Requires sharp, which is not a site dependency. Install it locally with
+ * `npm install --no-save sharp` before running. The Netlify build can't, so
+ * commit the manifest and variants after adding or replacing an image.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const INPUT_DIR = path.join(ROOT_DIR, "assets/images");
+const OUTPUT_DIR = path.join(INPUT_DIR, "optimized");
+const MANIFEST_PATH = path.join(INPUT_DIR, "image-manifest.json");
+
+const SOURCE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+
+// Widths avoid overlapping at @2x so every srcset candidate stays unique
+const SIZES = {
+  thumbnail: 200,
+  medium: 500,
+  large: 900,
+  xlarge: 1400,
+};
+
+const DENSITIES = [1, 2];
+
+const FORMATS = {
+  avif: { extension: "avif", options: { quality: 50 } },
+  webp: { extension: "webp", options: { quality: 80 } },
+  jpeg: {
+    extension: "jpg",
+    options: { quality: 80, progressive: true, mozjpeg: true },
+  },
+  png: { extension: "png", options: { compressionLevel: 9 } },
+};
+
+function loadSharp() {
+  try {
+    return require("sharp");
+  } catch (error) {
+    console.error(
+      "❌ sharp is required to generate images. Run `npm install --no-save sharp` and try again."
+    );
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  return {
+    force: argv.includes("--force"),
+    avif: !argv.includes("--no-avif"),
+  };
+}
+
+function toPublicPath(filePath) {
+  return "/" + path.relative(ROOT_DIR, filePath).split(path.sep).join("/");
+}
+
+function findSourceImages() {
+  return fs
+    .readdirSync(INPUT_DIR, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+    )
+    .map((entry) => path.join(INPUT_DIR, entry.name))
+    .sort();
+}
+
+// A variant is current when it exists and is newer than its source
+function isUpToDate(outputPath, sourceStat) {
+  try {
+    return fs.statSync(outputPath).mtimeMs >= sourceStat.mtimeMs;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getVariantWidths(sourceWidth) {
+  const variants = [];
+
+  Object.entries(SIZES).forEach(([size, width]) => {
+    DENSITIES.forEach((density) => {
+      const targetWidth = width * density;
+
+      // Never upscale, but always keep a 1x thumbnail for tiny sources
+      if (targetWidth > sourceWidth) {
+        if (size === "thumbnail" && density === 1) {
+          variants.push({ size, density, width: sourceWidth });
+        }
+        return;
+      }
+
+      variants.push({ size, density, width: targetWidth });
+    });
+  });
+
+  return variants;
+}
+
+async function processImage(sharp, sourcePath, formats, options) {
+  const name = path.basename(sourcePath, path.extname(sourcePath));
+  const sourceStat = fs.statSync(sourcePath);
+  const metadata = await sharp(sourcePath).metadata();
+
+  // EXIF orientation swaps the visible width and height
+  const rotated = metadata.orientation >= 5;
+  const sourceWidth = rotated ? metadata.height : metadata.width;
+  const sourceHeight = rotated ? metadata.width : metadata.height;
+
+  const imageFormats = formats.filter((format) =>
+    metadata.hasAlpha ? format !== "jpeg" : format !== "png"
+  );
+
+  const entry = {
+    original: {
+      path: toPublicPath(sourcePath),
+      width: sourceWidth,
+      height: sourceHeight,
+      size: sourceStat.size,
+      format: metadata.format,
+    },
+    aspectRatio: Number((sourceWidth / sourceHeight).toFixed(4)),
+    variants: {},
+  };
+
+  let generated = 0;
+  let optimizedSize = 0;
+
+  for (const format of imageFormats) {
+    const { extension, options: formatOptions } = FORMATS[format];
+    entry.variants[format] = {};
+
+    for (const variant of getVariantWidths(sourceWidth)) {
+      const densitySuffix = variant.density > 1 ? `@${variant.density}x` : "";
+      const variantKey = `${variant.size}${densitySuffix}`;
+      const outputPath = path.join(
+        OUTPUT_DIR,
+        `${name}-${variantKey}.${extension}`
+      );
+
+      let info;
+      if (!options.force && isUpToDate(outputPath, sourceStat)) {
+        const existing = await sharp(outputPath).metadata();
+        info = {
+          width: existing.width,
+          height: existing.height,
+          size: fs.statSync(outputPath).size,
+        };
+      } else {
+        info = await sharp(sourcePath)
+          .rotate()
+          .resize({ width: variant.width, withoutEnlargement: true })
+          [format](formatOptions)
+          .toFile(outputPath);
+        generated++;
+      }
+
+      entry.variants[format][variantKey] = {
+        path: toPublicPath(outputPath),
+        width: info.width,
+        height: info.height,
+        size: info.size,
+        density: variant.density,
+      };
+      optimizedSize += info.size;
+    }
+  }
+
+  return { name, entry, generated, optimizedSize };
+}
+
+async function generateManifest(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const sharp = loadSharp();
+  const formats = ["avif", "webp", "jpeg", "png"].filter(
+    (format) => options.avif || format !== "avif"
+  );
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const sources = findSourceImages();
+  const manifest = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    sizes: SIZES,
+    densities: DENSITIES,
+    images: {},
+    stats: {
+      images: 0,
+      variants: 0,
+      generated: 0,
+      originalSize: 0,
+      optimizedSize: 0,
+    },
+  };
+
+  console.log(`🖼️ Processing ${sources.length} images from ${INPUT_DIR}`);
+
+  for (const sourcePath of sources) {
+    try {
+      const result = await processImage(sharp, sourcePath, formats, options);
+      const variantCount = Object.values(result.entry.variants).reduce(
+        (count, variants) => count + Object.keys(variants).length,
+        0
+      );
+
+      manifest.images[result.name] = result.entry;
+      manifest.stats.images++;
+      manifest.stats.variants += variantCount;
+      manifest.stats.generated += result.generated;
+      manifest.stats.originalSize += result.entry.original.size;
+      manifest.stats.optimizedSize += result.optimizedSize;
+
+      console.log(
+        `✅ ${result.name}: ${variantCount} variants (${result.generated} new)`
+      );
+    } catch (error) {
+      console.error(`❌ ${path.basename(sourcePath)}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+
+  console.log(
+    `📄 Wrote ${toPublicPath(MANIFEST_PATH)} (${
+      manifest.stats.images
+    } images, ${manifest.stats.variants} variants)`
+  );
+
+  return manifest;
+}
+
+if (require.main === module) {
+  generateManifest().catch((error) => {
+    console.error("❌ Image manifest generation failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { generateManifest, getVariantWidths, SIZES, FORMATS };
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Service Worker Precache Manifest Generator
+ *
+ * Fingerprints local scripts and styles so the year-long `immutable` headers
+ * netlify.toml sets for /scripts and /styles are safe (/assets isn't
+ * fingerprinted and revalidates instead), then injects a matching precache
+ * list into sw.js:
+ * - Appends ?v=<content hash> to script/style URLs in every root HTML page,
+ *   to CSS @imports and to importScripts() calls in sw.js
+ * - Precaches the pages plus every script and stylesheet they reference
+ * - Derives the static cache version from the precached content
+ *
+ * Usage:
+ *   node scripts/build/generatePrecacheManifest.js [--check]
+ *
+ * --check writes nothing and exits with 1 when any file is out of date.
+ * Runs as the Netlify build command, so deploys always ship fresh hashes.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const SERVICE_WORKER = "sw.js";
+const SKIP_DIRS = ["scripts/build", "scripts/server"];
+
+// Extra same-origin resources the site needs offline
+const EXTRA_PRECACHE = [
+  "manifest.json",
+  "data/testimonials.json",
+  "data/projects.json",
+];
+
+// Above-the-fold images, cached individually by the service worker
+const CRITICAL_IMAGES = [
+  "assets/images/project-3.jpg",
+  "assets/images/project-1.jpg",
+];
+
+const MARKER_START = "// precache-manifest:start";
+const MARKER_END = "// precache-manifest:end";
+
+// Matches ?v=<hash> left behind by a previous run
+const VERSION_QUERY = /\?v=[0-9a-f]+$/;
+
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, 10);
+}
+
+function read(relativePath) {
+  return fs.readFileSync(path.join(ROOT_DIR, relativePath), "utf8");
+}
+
+function exists(relativePath) {
+  return fs.existsSync(path.join(ROOT_DIR, relativePath));
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+// Resolve a reference from a file to a repo-relative path, or null if it
+// points somewhere we don't fingerprint (other origins, data URLs, etc.)
+function resolveReference(reference, fromFile) {
+  const url = reference.replace(VERSION_QUERY, "");
+
+  if (/^(?:[a-z]+:)?\/\//i.test(url) || /^(?:data|mailto|tel):/i.test(url)) {
+    return null;
+  }
+
+  if (url.includes("?") || url.includes("#")) {
+    return null;
+  }
+
+  const resolved = url.startsWith("/")
+    ? url.slice(1)
+    : toPosix(path.join(path.dirname(fromFile), url));
+
+  if (!/^(scripts|styles)\/.+\.(js|css)$/.test(resolved)) {
+    return null;
+  }
+
+  if (SKIP_DIRS.some((dir) => resolved.startsWith(`${dir}/`))) {
+    return null;
+  }
+
+  return exists(resolved) ? resolved : null;
+}
+
+class PrecacheBuilder {
+  constructor() {
+    this.hashes = new Map(); // repo-relative asset path -> content hash
+    this.outputs = new Map(); // repo-relative path -> rewritten content
+    this.referenced = new Set();
+  }
+
+  // Hash an asset after fingerprinting anything it imports itself
+  getAssetHash(relativePath, stack = []) {
+    if (this.hashes.has(relativePath)) {
+      return this.hashes.get(relativePath);
+    }
+
+    if (stack.includes(relativePath)) {
+      throw new Error(
+        `Circular @import: ${[...stack, relativePath].join(" -> ")}`
+      );
+    }
+
+    let content = read(relativePath);
+
+    if (relativePath.endsWith(".css")) {
+      content = this.rewriteCssImports(content, relativePath, [
+        ...stack,
+        relativePath,
+      ]);
+      this.stage(relativePath, content);
+    }
+
+    const assetHash = hash(content);
+    this.hashes.set(relativePath, assetHash);
+
+    return assetHash;
+  }
+
+  fingerprint(reference, fromFile, stack) {
+    const resolved = resolveReference(reference, fromFile);
+
+    if (!resolved) {
+      return reference;
+    }
+
+    this.referenced.add(resolved);
+    const assetHash = this.getAssetHash(resolved, stack);
+
+    return `${reference.replace(VERSION_QUERY, "")}?v=${assetHash}`;
+  }
+
+  rewriteCssImports(content, fromFile, stack) {
+    return content.replace(
+      /@import\s+(url\(\s*)?(["'])([^"']+)\2/g,
+      (match, urlPrefix, quote, reference) =>
+        `@import ${urlPrefix || ""}${quote}${this.fingerprint(
+          reference,
+          fromFile,
+          stack
+        )}${quote}`
+    );
+  }
+
+  rewriteHtml(relativePath) {
+    const content = read(relativePath).replace(
+      /(<(?:script|link)\b[^>]*?\s(?:src|href)=)(["'])([^"']+)\2/g,
+      (match, prefix, quote, reference) =>
+        `${prefix}${quote}${this.fingerprint(reference, relativePath)}${quote}`
+    );
+
+    this.stage(relativePath, content);
+
+    return content;
+  }
+
+  rewriteServiceWorkerImports() {
+    const content = read(SERVICE_WORKER).replace(
+      /importScripts\((["'])([^"']+)\1\)/g,
+      (match, quote, reference) =>
+        `importScripts(${quote}${this.fingerprint(
+          reference,
+          SERVICE_WORKER
+        )}${quote})`
+    );
+
+    this.stage(SERVICE_WORKER, content);
+  }
+
+  injectPrecache(cacheVersion, precacheUrls, criticalImages) {
+    let content = this.outputs.get(SERVICE_WORKER) || read(SERVICE_WORKER);
+    const start = content.indexOf(MARKER_START);
+    const end = content.indexOf(MARKER_END);
+
+    if (start === -1 || end === -1 || end < start) {
+      throw new Error(
+        `${SERVICE_WORKER} is missing the "${MARKER_START}" / "${MARKER_END}" markers`
+      );
+    }
+
+    const list = (urls) => urls.map((url) => `  "${url}",`).join("\n");
+    const block = [
+      MARKER_START,
+      `const CACHE_VERSION = "${cacheVersion}";`,
+      "",
+      "// Resources to cache immediately on install",
+      `const PRECACHE_URLS = [\n${list(precacheUrls)}\n];`,
+      "",
+      "// Critical images to cache (hero and about photos)",
+      `const CRITICAL_IMAGES = [\n${list(criticalImages)}\n];`,
+      MARKER_END,
+    ].join("\n");
+
+    content =
+      content.slice(0, start) + block + content.slice(end + MARKER_END.length);
+
+    this.stage(SERVICE_WORKER, content);
+  }
+
+  stage(relativePath, content) {
+    this.outputs.set(relativePath, content);
+  }
+
+  // Files whose rewritten content differs from what is on disk
+  getChangedFiles() {
+    return [...this.outputs].filter(
+      ([relativePath, content]) => read(relativePath) !== content
+    );
+  }
+}
+
+function findPages() {
+  return fs
+    .readdirSync(ROOT_DIR)
+    .filter((file) => file.endsWith(".html"))
+    .sort();
+}
+
+function buildPrecache() {
+  const builder = new PrecacheBuilder();
+  const pages = findPages();
+  const precache = [];
+
+  // The service worker's own imports count as referenced assets too
+  builder.rewriteServiceWorkerImports();
+
+  pages.forEach((page) => {
+    const content = builder.rewriteHtml(page);
+    const revision = hash(content);
+
+    if (page === "index.html") {
+      precache.push({ url: "/", revision });
+    }
+    precache.push({ url: `/${page}`, revision });
+  });
+
+  [...builder.referenced].sort().forEach((asset) => {
+    const revision = builder.getAssetHash(asset);
+    precache.push({ url: `/${asset}?v=${revision}`, revision });
+  });
+
+  EXTRA_PRECACHE.forEach((file) => {
+    if (!exists(file)) {
+      console.warn(`⚠️ Skipping missing precache file: ${file}`);
+      return;
+    }
+    precache.push({ url: `/${file}`, revision: hash(read(file)) });
+  });
+
+  const criticalImages = CRITICAL_IMAGES.filter((file) => {
+    if (!exists(file)) {
+      console.warn(`⚠️ Skipping missing critical image: ${file}`);
+      return false;
+    }
+    return true;
+  }).map((file) => `/${file}`);
+
+  // Any change to a precached file produces a new static cache
+  const cacheVersion = hash(JSON.stringify([precache, criticalImages]));
+
+  builder.injectPrecache(
+    cacheVersion,
+    precache.map((entry) => entry.url),
+    criticalImages
+  );
+
+  return { builder, precache, cacheVersion };
+}
+
+function main(argv = process.argv.slice(2)) {
+  const check = argv.includes("--check");
+  const { builder, precache, cacheVersion } = buildPrecache();
+  const changed = builder.getChangedFiles();
+
+  if (check) {
+    if (changed.length > 0) {
+      console.error("❌ Precache manifest is out of date:");
+      changed.forEach(([file]) => console.error(`   ${file}`));
+      console.error("   Run node scripts/build/generatePrecacheManifest.js");
+      process.exit(1);
+    }
+
+    console.log(`✅ Precache manifest is up to date (${cacheVersion})`);
+    return;
+  }
+
+  changed.forEach(([file, content]) => {
+    fs.writeFileSync(path.join(ROOT_DIR, file), content);
+    console.log(`📝 Updated ${file}`);
+  });
+
+  console.log(
+    `📦 Precache manifest: ${precache.length} resources, cache version ${cacheVersion}`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌ Precache manifest generation failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildPrecache, resolveReference };
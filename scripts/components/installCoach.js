@@ -0,0 +1,328 @@
+/**
+ * Install Coach Component
+ *
+ * In-page install guidance for browsers without `beforeinstallprompt`:
+ * - Detects the platform and whether the site already runs standalone
+ * - Shows tailored steps (e.g. the iOS "Add to Home Screen" share sheet)
+ * - Offers the native prompt where the browser provides one
+ * - Remembers dismissals and backs off for longer after each one
+ * - Reports what visitors do through PWAManager.trackEvent
+ */
+
+const INSTALL_COACH_STORAGE_KEY = "installCoach";
+
+// Share icon as drawn in Safari's toolbar
+const SHARE_ICON = `
+  <svg class="install-coach__icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+    <path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"/>
+    <polyline points="16,6 12,2 8,6"/>
+    <line x1="12" y1="2" x2="12" y2="15"/>
+  </svg>`;
+
+// Install steps for platforms that have no install prompt of their own
+const INSTALL_INSTRUCTIONS = {
+  "ios-safari": [
+    `Tap the Share button ${SHARE_ICON} in Safari's toolbar.`,
+    "Scroll down and tap <strong>Add to Home Screen</strong>.",
+    "Tap <strong>Add</strong> in the top-right corner.",
+  ],
+  "ios-other": [
+    `Tap the Share button ${SHARE_ICON} next to the address bar or in the browser menu.`,
+    "Tap <strong>Add to Home Screen</strong>.",
+    "Tap <strong>Add</strong> to confirm.",
+  ],
+  "android-firefox": [
+    "Tap the menu button <strong>⋮</strong>.",
+    "Tap <strong>Install</strong> (or <strong>Add to Home screen</strong>).",
+    "Confirm with <strong>Add</strong>.",
+  ],
+  "macos-safari": [
+    `Click the Share button ${SHARE_ICON} in the toolbar, or open the <strong>File</strong> menu.`,
+    "Choose <strong>Add to Dock</strong>.",
+    "Click <strong>Add</strong>.",
+  ],
+};
+
+class InstallCoach {
+  constructor(pwaManager, options = {}) {
+    this.pwaManager = pwaManager;
+    this.options = {
+      showDelay: 20000, // Give visitors time to look around first
+      cooldown: 7 * 24 * 60 * 60 * 1000, // Doubles with each dismissal
+      maxCooldown: 90 * 24 * 60 * 60 * 1000,
+      ...options,
+    };
+
+    this.platform = this.detectPlatform();
+    this.element = null;
+    this.isOpen = false;
+    this.showTimer = null;
+    this.focusedElementBeforeOpen = null;
+
+    this.init();
+  }
+
+  init() {
+    if (this.pwaManager.isInstalled()) return;
+
+    window.addEventListener("appinstalled", () => {
+      this.close({ track: false });
+      clearTimeout(this.showTimer);
+    });
+
+    // The native prompt may only become available after this runs
+    const mayCoach = this.hasInstructions() || this.platform === "prompt";
+    if (mayCoach && !this.isCoolingDown()) {
+      this.showTimer = setTimeout(() => this.open(), this.options.showDelay);
+    }
+
+    // Give platforms without a native prompt the header install button too
+    if (this.hasInstructions()) {
+      this.pwaManager.showInstallButton();
+    }
+  }
+
+  detectPlatform() {
+    const userAgent = navigator.userAgent;
+
+    // iPadOS reports itself as a Mac, but Macs have no touch points
+    const isIOS =
+      /iPad|iPhone|iPod/.test(userAgent) ||
+      (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+
+    if (isIOS) {
+      return /CriOS|FxiOS|EdgiOS|OPiOS/.test(userAgent)
+        ? "ios-other"
+        : "ios-safari";
+    }
+
+    if (/Android/.test(userAgent) && /Firefox/.test(userAgent)) {
+      return "android-firefox";
+    }
+
+    // Safari 17+ on macOS can add sites to the Dock
+    const safariVersion = userAgent.match(/Version\/(\d+).*Safari/);
+    if (
+      /Macintosh/.test(userAgent) &&
+      safariVersion &&
+      !/Chrome|Chromium|Edg/.test(userAgent)
+    ) {
+      return Number(safariVersion[1]) >= 17 ? "macos-safari" : "unsupported";
+    }
+
+    // Chromium browsers fire beforeinstallprompt; desktop Firefox can't install
+    return "onbeforeinstallprompt" in window ? "prompt" : "unsupported";
+  }
+
+  hasInstructions() {
+    return Boolean(INSTALL_INSTRUCTIONS[this.platform]);
+  }
+
+  // Either the browser's own prompt is ready or we have steps to show
+  canCoach() {
+    return this.hasInstructions() || this.pwaManager.isInstallable();
+  }
+
+  getState() {
+    try {
+      return (
+        JSON.parse(localStorage.getItem(INSTALL_COACH_STORAGE_KEY)) || {
+          dismissals: 0,
+          dismissedAt: 0,
+        }
+      );
+    } catch (error) {
+      return { dismissals: 0, dismissedAt: 0 };
+    }
+  }
+
+  getCooldown(dismissals) {
+    if (dismissals === 0) return 0;
+
+    return Math.min(
+      this.options.cooldown * 2 ** (dismissals - 1),
+      this.options.maxCooldown
+    );
+  }
+
+  isCoolingDown() {
+    const { dismissals, dismissedAt } = this.getState();
+    return Date.now() - dismissedAt < this.getCooldown(dismissals);
+  }
+
+  render() {
+    const element = document.createElement("div");
+    element.className = "install-coach";
+    element.setAttribute("role", "dialog");
+    element.setAttribute("aria-labelledby", "install-coach-title");
+    element.setAttribute("aria-describedby", "install-coach-description");
+
+    const steps = INSTALL_INSTRUCTIONS[this.platform];
+    const usePrompt = !steps;
+
+    element.innerHTML = `
+      <div class="install-coach__content">
+        <h2 class="install-coach__title" id="install-coach-title">
+          Install the app
+        </h2>
+        <p class="install-coach__description" id="install-coach-description">
+          Add this site to your ${
+            this.platform === "macos-safari" ? "Dock" : "home screen"
+          } for quick access to insights and case studies, even offline.
+        </p>
+        ${
+          steps
+            ? `<ol class="install-coach__steps">${steps
+                .map((step) => `<li>${step}</li>`)
+                .join("")}</ol>`
+            : ""
+        }
+        <div class="install-coach__actions">
+          <button type="button" class="btn btn--sm btn--outline" data-install-coach="dismiss">
+            Not now
+          </button>
+          <button type="button" class="btn btn--sm btn--primary" data-install-coach="${
+            usePrompt ? "install" : "done"
+          }">
+            ${usePrompt ? "Install" : "Got it"}
+          </button>
+        </div>
+      </div>
+    `;
+
+    element
+      .querySelector('[data-install-coach="dismiss"]')
+      .addEventListener("click", () => this.dismiss());
+
+    const primary = element.querySelector(
+      '[data-install-coach="install"], [data-install-coach="done"]'
+    );
+    primary.addEventListener("click", () =>
+      usePrompt ? this.promptInstall() : this.acknowledge()
+    );
+
+    element.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        this.dismiss();
+      }
+    });
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Show the coach. Called automatically after a delay, or on demand (e.g.
+   * from the install button), in which case focus moves into it.
+   */
+  open({ source = "auto" } = {}) {
+    if (this.isOpen || this.pwaManager.isInstalled() || !this.canCoach()) {
+      return false;
+    }
+
+    clearTimeout(this.showTimer);
+
+    if (this.element) {
+      this.element.remove();
+    }
+    this.element = this.render();
+    this.isOpen = true;
+
+    if (source !== "auto") {
+      this.focusedElementBeforeOpen = document.activeElement;
+      this.element.querySelector("button.btn--primary").focus();
+    }
+
+    this.pwaManager.trackEvent("install_coach_shown", {
+      platform: this.platform,
+      source,
+    });
+
+    return true;
+  }
+
+  close({ track = true, outcome = "closed" } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.remove();
+    this.element = null;
+    this.isOpen = false;
+
+    if (this.focusedElementBeforeOpen) {
+      this.focusedElementBeforeOpen.focus();
+      this.focusedElementBeforeOpen = null;
+    }
+
+    if (track) {
+      this.pwaManager.trackEvent("install_coach_closed", {
+        platform: this.platform,
+        outcome,
+      });
+    }
+  }
+
+  dismiss() {
+    this.recordDismissal();
+    this.close({ outcome: "dismissed" });
+  }
+
+  // Each dismissal doubles the wait before the coach shows itself again
+  recordDismissal() {
+    const state = this.getState();
+    const next = { dismissals: state.dismissals + 1, dismissedAt: Date.now() };
+
+    try {
+      localStorage.setItem(INSTALL_COACH_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      // Without storage the coach simply shows again next visit
+    }
+  }
+
+  // Visitors who read the steps won't need them again for a while either
+  acknowledge() {
+    const state = this.getState();
+    const next = {
+      dismissals: Math.max(state.dismissals, 1),
+      dismissedAt: Date.now(),
+    };
+
+    try {
+      localStorage.setItem(INSTALL_COACH_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      // Ignore storage failures
+    }
+
+    this.close({ outcome: "instructions_read" });
+  }
+
+  async promptInstall() {
+    // The coach is already gone by the time the prompt resolves, so the
+    // outcome is tracked here rather than by close()
+    this.close({ track: false });
+
+    const accepted = await this.pwaManager.showInstallPrompt({
+      source: "install_coach",
+    });
+
+    if (!accepted) {
+      this.recordDismissal();
+    }
+
+    this.pwaManager.trackEvent("install_coach_closed", {
+      platform: this.platform,
+      outcome: accepted ? "installed" : "dismissed",
+    });
+  }
+}
+
+// Initialize install coach when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  if (window.pwaManager) {
+    window.installCoach = new InstallCoach(window.pwaManager);
+  }
+});
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InstallCoach;
+}
@@ -43,13 +43,7 @@ class Lightbox {
 
   bindEvents() {
     // Gallery button clicks
-    this.galleryButtons.forEach((button) => {
-      button.addEventListener("click", (e) => {
-        e.preventDefault();
-        const index = parseInt(button.dataset.index);
-        this.open(index);
-      });
-    });
+    this.bindGalleryButtons();
 
     // Close button clicks
     this.closeButtons.forEach((button) => {
@@ -92,6 +86,30 @@ class Lightbox {
     });
   }
 
+  bindGalleryButtons() {
+    this.galleryButtons.forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        const index = parseInt(button.dataset.index);
+        this.open(index);
+      });
+    });
+  }
+
+  // Re-scan gallery buttons after page content has been re-rendered
+  refreshGallery() {
+    if (this.isOpen) {
+      this.close();
+    }
+
+    this.galleryButtons = document.querySelectorAll("[data-lightbox]");
+    this.images = [];
+    this.currentIndex = 0;
+
+    this.setupGallery();
+    this.bindGalleryButtons();
+  }
+
   open(index = 0) {
     if (this.images.length === 0) return;
 
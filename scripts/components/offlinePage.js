@@ -0,0 +1,95 @@
+/**
+ * Offline Page Component
+ *
+ * Runs on offline.html, which the service worker serves in place of pages
+ * that aren't cached:
+ * - Lists the pages the service worker can still serve
+ * - Retries the original page on demand or when the connection returns
+ */
+
+class OfflinePage {
+  constructor() {
+    this.list = document.getElementById("offline-pages");
+    this.retryButton = document.getElementById("offline-retry");
+
+    this.init();
+  }
+
+  init() {
+    if (this.retryButton) {
+      this.retryButton.addEventListener("click", () => this.retry());
+    }
+
+    // Reload the requested page as soon as the connection is back
+    window.addEventListener("online", () => this.retry());
+
+    this.renderCachedPages();
+  }
+
+  retry() {
+    window.location.reload();
+  }
+
+  async renderCachedPages() {
+    if (!this.list) return;
+
+    let pages = [];
+    try {
+      pages = await this.getCachedPages();
+    } catch (error) {
+      console.warn("Could not list cached pages:", error.message);
+    }
+
+    if (pages.length === 0) return;
+
+    // The page being shown is the one that failed, so don't offer it
+    const current = window.location.pathname.replace(/(.)\/$/, "$1");
+
+    this.list.innerHTML = "";
+    pages
+      .filter((page) => page.url !== current)
+      .forEach((page) => {
+        const item = document.createElement("li");
+        const link = document.createElement("a");
+        link.href = page.url;
+        link.textContent = page.url === "/" ? "Home" : page.title;
+        item.appendChild(link);
+        this.list.appendChild(item);
+      });
+  }
+
+  // Ask the controlling service worker which pages it has cached
+  getCachedPages(timeout = 3000) {
+    const worker =
+      "serviceWorker" in navigator && navigator.serviceWorker.controller;
+
+    if (!worker) {
+      return Promise.resolve([]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(
+        () => reject(new Error("Service worker did not respond")),
+        timeout
+      );
+
+      channel.port1.onmessage = ({ data }) => {
+        clearTimeout(timer);
+        resolve((data.payload && data.payload.pages) || []);
+      };
+
+      worker.postMessage({ type: "GET_CACHED_PAGES" }, [channel.port2]);
+    });
+  }
+}
+
+// Initialize offline page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  window.offlinePage = new OfflinePage();
+});
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OfflinePage;
+}
@@ -39,16 +39,20 @@ class PageTransitions {
     // Handle browser back/forward buttons
     window.addEventListener("popstate", (e) => {
       if (e.state && e.state.transitioned) {
-        this.navigateWithTransition(window.location.pathname, false);
+        this.navigateWithTransition(
+          window.location.pathname + window.location.search,
+          false
+        );
       }
     });
 
     // Add initial state to history
     if (window.history.state === null) {
+      // Keep the query string and hash (e.g. ?project=slug)
       window.history.replaceState(
         { transitioned: true },
         "",
-        window.location.pathname
+        window.location.pathname + window.location.search + window.location.hash
       );
     }
   }
@@ -111,6 +115,34 @@ class PageTransitions {
           animation: page-fade-in 300ms ease-out;
         }
 
+        .page-transition-notice {
+          position: fixed;
+          left: 50%;
+          bottom: 1.5rem;
+          transform: translate(-50%, 150%);
+          max-width: calc(100% - 2rem);
+          padding: 1rem 1.25rem;
+          background-color: var(--color-text-primary, #1f2937);
+          color: #ffffff;
+          border-radius: 0.5rem;
+          box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+          z-index: 10000;
+          transition: transform 300ms ease-in-out;
+        }
+
+        .page-transition-notice.active {
+          transform: translate(-50%, 0);
+        }
+
+        .page-transition-notice__text {
+          margin: 0 0 0.5rem;
+        }
+
+        .page-transition-notice__link {
+          color: #93c5fd;
+          font-weight: 600;
+        }
+
         @keyframes page-fade-in {
           from {
             opacity: 0;
@@ -158,6 +190,12 @@ class PageTransitions {
     this.isTransitioning = true;
 
     try {
+      // Offline, only pages the service worker has cached can be shown
+      if (!navigator.onLine && !(await this.isAvailableOffline(url))) {
+        this.showOfflineNotice();
+        return;
+      }
+
       // Show transition overlay
       this.overlay.classList.add("active");
 
@@ -167,6 +205,13 @@ class PageTransitions {
       // Fetch new page content
       const response = await fetch(url);
 
+      // The service worker answers uncached pages with its offline page
+      if (response.headers.get("X-Offline-Fallback")) {
+        this.overlay.classList.remove("active");
+        this.showOfflineNotice();
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -200,6 +245,14 @@ class PageTransitions {
       this.reinitializeComponents();
     } catch (error) {
       console.error("Page transition failed:", error);
+
+      // A full reload can't succeed without a connection
+      if (!navigator.onLine) {
+        this.overlay.classList.remove("active");
+        this.showOfflineNotice();
+        return;
+      }
+
       // Fallback to normal navigation
       window.location.href = url;
     } finally {
@@ -207,6 +260,52 @@ class PageTransitions {
     }
   }
 
+  async isAvailableOffline(url) {
+    if (
+      !window.pwaManager ||
+      typeof window.pwaManager.isPageAvailableOffline !== "function"
+    ) {
+      return true;
+    }
+
+    try {
+      return await window.pwaManager.isPageAvailableOffline(url);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  showOfflineNotice() {
+    const message =
+      "This page isn't available offline. It will load once you're back online.";
+
+    let notice = document.querySelector(".page-transition-notice");
+    if (!notice) {
+      notice = document.createElement("div");
+      notice.className = "page-transition-notice";
+      notice.setAttribute("role", "status");
+      notice.innerHTML = `
+        <p class="page-transition-notice__text"></p>
+        <a href="/offline.html" class="page-transition-notice__link" data-no-transition>
+          See pages available offline
+        </a>
+      `;
+      document.body.appendChild(notice);
+    }
+
+    notice.querySelector(".page-transition-notice__text").textContent = message;
+    notice.classList.add("active");
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message, "assertive");
+    }
+
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => {
+      notice.classList.remove("active");
+    }, 6000);
+  }
+
   async updatePageContent(newDoc) {
     // Update title
     document.title = newDoc.title;
@@ -300,8 +399,11 @@ class PageTransitions {
     // Reinitialize components that might need it after content update
 
     // Reinitialize lightbox if it exists
-    if (window.lightbox && typeof window.lightbox.setupGallery === "function") {
-      window.lightbox.setupGallery();
+    if (
+      window.lightbox &&
+      typeof window.lightbox.refreshGallery === "function"
+    ) {
+      window.lightbox.refreshGallery();
     }
 
     // Reinitialize image optimization
@@ -376,16 +478,32 @@ class PageTransitions {
 
     document.body.appendChild(backToTop);
 
-    // Show/hide based on scroll position
-    window.addEventListener("scroll", () => {
-      if (window.scrollY > 300) {
-        backToTop.style.opacity = "1";
-        backToTop.style.visibility = "visible";
-      } else {
-        backToTop.style.opacity = "0";
-        backToTop.style.visibility = "hidden";
-      }
-    });
+    // Show/hide based on scroll position, checked once per frame and only
+    // restyled when it crosses the threshold
+    let isVisible = false;
+    let frameRequested = false;
+
+    const update = () => {
+      frameRequested = false;
+
+      const shouldShow = window.scrollY > 300;
+      if (shouldShow === isVisible) return;
+
+      isVisible = shouldShow;
+      backToTop.style.opacity = shouldShow ? "1" : "0";
+      backToTop.style.visibility = shouldShow ? "visible" : "hidden";
+    };
+
+    window.addEventListener(
+      "scroll",
+      () => {
+        if (frameRequested) return;
+
+        frameRequested = true;
+        requestAnimationFrame(update);
+      },
+      { passive: true }
+    );
 
     // Scroll to top on click
     backToTop.addEventListener("click", () => {
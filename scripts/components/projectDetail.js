@@ -0,0 +1,552 @@
+/**
+ * Project Detail Component
+ * Renders case studies from the project registry into the project-detail template
+ */
+
+class ProjectDetail {
+  constructor(options = {}) {
+    this.options = {
+      registryUrl: "/data/projects.json",
+      routePattern: /^\/projects\/([a-z0-9-]+)\/?$/,
+      ...options,
+    };
+
+    this.registry = null;
+    this.project = null;
+
+    this.init();
+  }
+
+  async init() {
+    if (!document.querySelector(".project-detail")) return;
+
+    await this.render();
+
+    // Page transitions swap <main> for the raw template, so render again
+    document.addEventListener("pageTransitionComplete", () => {
+      if (document.querySelector(".project-detail")) {
+        this.render();
+      }
+    });
+  }
+
+  async loadRegistry() {
+    if (this.registry) {
+      return this.registry;
+    }
+
+    try {
+      const response = await fetch(this.options.registryUrl);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      this.registry = await response.json();
+      return this.registry;
+    } catch (error) {
+      console.warn("Failed to load project registry:", error.message);
+      return null;
+    }
+  }
+
+  // Read the slug from /projects/slug or ?project=slug
+  getSlugFromLocation(location = window.location) {
+    const routeMatch = location.pathname.match(this.options.routePattern);
+    if (routeMatch) {
+      return routeMatch[1];
+    }
+
+    return new URLSearchParams(location.search).get("project");
+  }
+
+  getProject(slug) {
+    if (!this.registry) return null;
+
+    return this.registry.projects.find((project) => project.slug === slug);
+  }
+
+  getProjectUrl(slug) {
+    return `/projects/${slug}`;
+  }
+
+  async render() {
+    const registry = await this.loadRegistry();
+
+    // Keep the static template content if the registry is unavailable
+    if (!registry) return;
+
+    const slug = this.getSlugFromLocation() || registry.defaultProject;
+    const project = this.getProject(slug);
+
+    if (!project) {
+      this.renderNotFound(slug);
+      return;
+    }
+
+    this.project = project;
+
+    this.renderHero(project);
+    this.renderOverview(project);
+    this.renderProcess(project);
+    this.renderResults(project);
+    this.renderGallery(project);
+    this.renderNavigation(project);
+    this.renderRelated(project);
+
+    this.updateMetaTags(project);
+    this.updateStructuredData(project);
+
+    // Lazy images wait for ImageOptimizer to pick their size
+    if (window.imageOptimizer) {
+      window.imageOptimizer.observeNewImages(document);
+    }
+
+    // Lightbox collects gallery buttons once, so point it at the new ones
+    if (
+      window.lightbox &&
+      typeof window.lightbox.refreshGallery === "function"
+    ) {
+      window.lightbox.refreshGallery();
+    }
+
+    document.dispatchEvent(
+      new CustomEvent("projectRendered", { detail: { slug: project.slug } })
+    );
+  }
+
+  renderHero(project) {
+    this.setText(".breadcrumb__item--current", project.title);
+    this.setText(".project-hero__category", project.category);
+    this.setText(".project-hero__title", project.title);
+    this.setText(".project-hero__subtitle", project.summary);
+
+    const date = document.querySelector(".project-hero__date");
+    if (date) {
+      date.textContent = project.year;
+      date.setAttribute("datetime", project.year);
+    }
+
+    this.setHTML(
+      ".project-hero__tags",
+      project.tags
+        .map((tag) => `<span class="project-tag">${this.escape(tag)}</span>`)
+        .join("")
+    );
+
+    const links = [
+      { url: project.links?.live, label: "View Live Site", style: "primary" },
+      { url: project.links?.code, label: "View Code", style: "outline" },
+    ].filter((link) => link.url);
+
+    this.setHTML(
+      ".project-hero__actions",
+      links
+        .map(
+          (link) => `
+            <a href="${this.escape(link.url)}" class="btn btn--${link.style}"
+               target="_blank" rel="noopener noreferrer">
+              ${link.label}
+              <span class="btn__icon" aria-hidden="true">↗</span>
+            </a>`
+        )
+        .join("")
+    );
+
+    this.setHTML(
+      ".project-hero__image",
+      this.pictureTemplate(project.image, {
+        className: "project-hero__img",
+        width: 800,
+        height: 600,
+        lazy: false,
+      })
+    );
+  }
+
+  renderOverview(project) {
+    this.setHTML(
+      ".project-overview__description",
+      project.overview
+        .map((paragraph) => `<p>${this.escape(paragraph)}</p>`)
+        .join("")
+    );
+
+    this.setHTML(
+      ".project-detail-grid",
+      project.details
+        .map(
+          (detail) => `
+            <div class="project-detail-item">
+              <h3 class="project-detail-item__title">${this.escape(
+                detail.label
+              )}</h3>
+              <p class="project-detail-item__value">${this.escape(
+                detail.value
+              )}</p>
+            </div>`
+        )
+        .join("")
+    );
+  }
+
+  renderProcess(project) {
+    this.setHTML(
+      ".project-process__steps",
+      project.process
+        .map(
+          (step, index) => `
+            <div class="project-process__step">
+              <div class="project-process__step-number">${String(
+                index + 1
+              ).padStart(2, "0")}</div>
+              <div class="project-process__step-content">
+                <h3 class="project-process__step-title">${this.escape(
+                  step.title
+                )}</h3>
+                <p class="project-process__step-description">${this.escape(
+                  step.description
+                )}</p>
+              </div>
+            </div>`
+        )
+        .join("")
+    );
+  }
+
+  renderResults(project) {
+    const results = project.results || {};
+
+    this.setHTML(
+      ".project-results__description",
+      results.summary ? `<p>${this.escape(results.summary)}</p>` : ""
+    );
+
+    this.setHTML(
+      ".project-metrics",
+      (results.metrics || [])
+        .map(
+          (metric) => `
+            <div class="project-metric">
+              <div class="project-metric__value">${this.escape(
+                metric.value
+              )}</div>
+              <div class="project-metric__label">${this.escape(
+                metric.label
+              )}</div>
+            </div>`
+        )
+        .join("")
+    );
+
+    this.setHTML(
+      ".project-features-list",
+      (results.features || [])
+        .map(
+          (feature) =>
+            `<li class="project-features-list__item">${this.escape(
+              feature
+            )}</li>`
+        )
+        .join("")
+    );
+  }
+
+  renderGallery(project) {
+    this.setHTML(
+      ".project-gallery__grid",
+      project.gallery
+        .map(
+          (image) => `
+            <div class="project-gallery__item">
+              <button class="project-gallery__button"
+                      data-lightbox="project-gallery"
+                      data-src="${this.escape(image.src)}">
+                ${this.pictureTemplate(image, {
+                  className: "project-gallery__image",
+                  width: 400,
+                  height: 300,
+                })}
+                <div class="project-gallery__overlay">
+                  <span class="project-gallery__zoom-icon" aria-hidden="true">🔍</span>
+                </div>
+              </button>
+            </div>`
+        )
+        .join("")
+    );
+  }
+
+  renderNavigation(project) {
+    const projects = this.registry.projects;
+    const index = projects.indexOf(project);
+    const prev = projects[(index - 1 + projects.length) % projects.length];
+    const next = projects[(index + 1) % projects.length];
+
+    const prevLink = document.querySelector(".project-nav__link--prev");
+    const nextLink = document.querySelector(".project-nav__link--next");
+
+    // Hide prev/next when this is the only project
+    [
+      [prevLink, prev],
+      [nextLink, next],
+    ].forEach(([link, target]) => {
+      if (!link) return;
+
+      link.hidden = target === project;
+      link.href = this.getProjectUrl(target.slug);
+
+      const title = link.querySelector(".project-nav__title");
+      if (title) {
+        title.textContent = target.title;
+      }
+    });
+  }
+
+  renderRelated(project) {
+    const related = (project.related || [])
+      .map((slug) => this.getProject(slug))
+      .filter(Boolean);
+
+    const section = document.querySelector(".related-projects");
+    if (section) {
+      section.hidden = related.length === 0;
+    }
+
+    this.setHTML(
+      ".related-projects__grid",
+      related
+        .map(
+          (item) => `
+            <article class="related-project">
+              <a href="${this.getProjectUrl(
+                item.slug
+              )}" class="related-project__link">
+                <div class="related-project__image-container">
+                  ${this.pictureTemplate(
+                    {
+                      ...item.image,
+                      alt: `${item.title} - ${item.category} project`,
+                    },
+                    {
+                      className: "related-project__image",
+                      width: 300,
+                      height: 200,
+                    }
+                  )}
+                  <div class="related-project__overlay">
+                    <span class="related-project__view-text">View Project</span>
+                  </div>
+                </div>
+                <div class="related-project__content">
+                  <span class="related-project__category">${this.escape(
+                    item.category
+                  )}</span>
+                  <h3 class="related-project__title">${this.escape(
+                    item.title
+                  )}</h3>
+                  <p class="related-project__description">${this.escape(
+                    item.summary
+                  )}</p>
+                </div>
+              </a>
+            </article>`
+        )
+        .join("")
+    );
+  }
+
+  renderNotFound(slug) {
+    const main = document.querySelector(".project-detail");
+    if (!main) return;
+
+    console.warn(`Project not found: ${slug}`);
+
+    document.title = "Project Not Found - Rebecca Lee Jin Portfolio";
+    this.setMeta('meta[name="robots"]', "noindex, follow");
+
+    main.innerHTML = `
+      <section class="project-hero" aria-labelledby="project-title">
+        <div class="container">
+          <div class="project-hero__content">
+            <h1 id="project-title" class="project-hero__title">Project not found</h1>
+            <p class="project-hero__subtitle">
+              The case study you are looking for doesn't exist or has been moved.
+            </p>
+            <div class="project-hero__actions">
+              <a href="/index.html" class="btn btn--primary">Back to Home</a>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  updateMetaTags(project) {
+    const { site } = this.registry;
+    const pageUrl = `${site.url}${this.getProjectUrl(project.slug)}`;
+    const imageUrl = `${site.url}${project.image.src}`;
+    const title = `${project.title} Case Study - ${site.author}`;
+
+    document.title = `${project.title} Case Study - ${site.name}`;
+
+    this.setMeta('meta[name="description"]', project.description);
+    this.setMeta('meta[name="robots"]', "index, follow");
+    this.setMeta('meta[name="keywords"]', project.tags.join(", "));
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) {
+      canonical.href = pageUrl;
+    }
+
+    // Same tags PageTransitions.updateMetaTags keeps in sync
+    this.setMeta('meta[property="og:title"]', title);
+    this.setMeta('meta[property="og:description"]', project.description);
+    this.setMeta('meta[property="og:url"]', pageUrl);
+    this.setMeta('meta[property="og:image"]', imageUrl);
+    this.setMeta('meta[property="og:image:alt"]', project.image.alt);
+    this.setMeta('meta[property="article:section"]', project.category);
+
+    this.setMeta('meta[name="twitter:title"]', title);
+    this.setMeta('meta[name="twitter:description"]', project.summary);
+    this.setMeta('meta[name="twitter:image"]', imageUrl);
+    this.setMeta('meta[name="twitter:image:alt"]', project.image.alt);
+
+    // Replace article tags with this project's tags
+    document
+      .querySelectorAll('meta[property="article:tag"]')
+      .forEach((tag) => tag.remove());
+    project.tags.forEach((tag) => {
+      const meta = document.createElement("meta");
+      meta.setAttribute("property", "article:tag");
+      meta.content = tag;
+      document.head.appendChild(meta);
+    });
+  }
+
+  updateStructuredData(project) {
+    const { site } = this.registry;
+    const pageUrl = `${site.url}${this.getProjectUrl(project.slug)}`;
+
+    let script = document.getElementById("project-structured-data");
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.id = "project-structured-data";
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify(
+      {
+        "@context": "https://schema.org",
+        "@graph": [
+          {
+            "@type": "CreativeWork",
+            name: project.title,
+            description: project.description,
+            author: {
+              "@type": "Person",
+              name: site.author,
+              url: site.url,
+            },
+            dateCreated: project.year,
+            genre: project.category,
+            keywords: project.tags,
+            image: `${site.url}${project.image.src}`,
+            url: pageUrl,
+            isPartOf: {
+              "@type": "WebSite",
+              name: site.name,
+              url: site.url,
+            },
+          },
+          {
+            "@type": "BreadcrumbList",
+            itemListElement: [
+              { name: "Home", item: `${site.url}/` },
+              { name: "Portfolio", item: `${site.url}/#portfolio` },
+              { name: project.title, item: pageUrl },
+            ].map((crumb, index) => ({
+              "@type": "ListItem",
+              position: index + 1,
+              ...crumb,
+            })),
+          },
+        ],
+      },
+      null,
+      2
+    );
+  }
+
+  // Image manifest key: "/assets/images/project-1.jpg" -> "project-1"
+  getImageName(src) {
+    return src
+      .split("/")
+      .pop()
+      .replace(/\.[^.]+$/, "");
+  }
+
+  // Lazy images leave src to ImageOptimizer, so lite mode's thumbnail is
+  // the only thing downloaded
+  pictureTemplate(image, { className, width, height, lazy = true }) {
+    const deferred = lazy && window.imageOptimizer;
+
+    return `
+      <picture>
+        ${
+          image.webp
+            ? `<source srcset="${this.escape(image.webp)}" type="image/webp" />`
+            : ""
+        }
+        <img ${deferred ? "data-src" : "src"}="${this.escape(image.src)}"
+             data-image="${this.escape(this.getImageName(image.src))}"
+             alt="${this.escape(image.alt)}"
+             class="${className}"
+             ${lazy ? 'loading="lazy"' : ""}
+             width="${width}"
+             height="${height}" />
+      </picture>
+    `;
+  }
+
+  setText(selector, text) {
+    const element = document.querySelector(selector);
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
+  setHTML(selector, html) {
+    const element = document.querySelector(selector);
+    if (element) {
+      element.innerHTML = html;
+    }
+  }
+
+  setMeta(selector, content) {
+    const element = document.querySelector(selector);
+    if (element) {
+      element.setAttribute("content", content);
+    }
+  }
+
+  escape(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+}
+
+// Initialize project detail rendering when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  window.projectDetail = new ProjectDetail();
+});
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProjectDetail;
+}
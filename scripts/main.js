@@ -9,6 +9,106 @@
   const navMenu = document.querySelector(".nav__menu");
   const navLinks = document.querySelectorAll(".nav__link");
 
+  /**
+   * Intake fields rendered into #contact-form ahead of the message. Names
+   * must match the hidden Netlify detection form in index.html, or Netlify
+   * drops them. Fields with `showIf` stay hidden and disabled (so they're
+   * neither validated nor submitted) until the named field has one of the
+   * listed values.
+   */
+  const CONTACT_FORM_SCHEMA = [
+    {
+      name: "inquiry-type",
+      label: "How can I help?",
+      type: "select",
+      required: true,
+      // One per service card in the Services section
+      options: [
+        { value: "consulting", label: "Financial Consulting" },
+        { value: "advisory", label: "Investment Advisory" },
+        { value: "digital-assets", label: "Digital Assets Trading" },
+      ],
+    },
+    {
+      name: "investable-assets",
+      label: "Investable assets",
+      type: "select",
+      required: true,
+      help: "A rough range helps me prepare for our first conversation.",
+      showIf: { field: "inquiry-type", values: ["advisory", "digital-assets"] },
+      options: [
+        { value: "under-100k", label: "Under $100,000" },
+        { value: "100k-500k", label: "$100,000 – $500,000" },
+        { value: "500k-1m", label: "$500,000 – $1 million" },
+        { value: "1m-5m", label: "$1 million – $5 million" },
+        { value: "over-5m", label: "Over $5 million" },
+        { value: "undisclosed", label: "Prefer not to say" },
+      ],
+    },
+    {
+      name: "contact-method",
+      label: "Preferred contact method",
+      type: "radio",
+      value: "email",
+      options: [
+        { value: "email", label: "Email" },
+        { value: "phone", label: "Phone call" },
+        { value: "video", label: "Video call" },
+      ],
+    },
+    {
+      name: "phone",
+      label: "Phone number",
+      type: "tel",
+      required: true,
+      autocomplete: "tel",
+      showIf: { field: "contact-method", values: ["phone"] },
+    },
+    {
+      name: "preferred-time",
+      label: "Best time to reach you",
+      type: "select",
+      required: true,
+      help: "In your own time zone, which is sent along with your message.",
+      showIf: { field: "contact-method", values: ["phone", "video"] },
+      options: [
+        { value: "morning", label: "Morning (9am – 12pm)" },
+        { value: "afternoon", label: "Afternoon (12pm – 5pm)" },
+        { value: "evening", label: "Evening (5pm – 8pm)" },
+        { value: "anytime", label: "Any time" },
+      ],
+    },
+    {
+      name: "timezone",
+      type: "hidden",
+      value: () => Intl.DateTimeFormat().resolvedOptions().timeZone || "",
+    },
+  ];
+
+  // Steps of the contact form's step-by-step mode, by field name
+  const CONTACT_WIZARD_STEPS = [
+    { title: "About you", fields: ["name", "email"] },
+    { title: "Your inquiry", fields: ["inquiry-type", "investable-assets"] },
+    {
+      title: "How to reach you",
+      fields: ["contact-method", "phone", "preferred-time"],
+    },
+    { title: "Your message", fields: ["message"] },
+  ];
+
+  const CONTACT_DRAFT_STORAGE_KEY = "contactDraft";
+  const CONTACT_DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+  // Never kept in drafts: the spam trap, values the page fills in itself and
+  // single-use captcha tokens
+  const CONTACT_DRAFT_EXCLUDED = [
+    "bot-field",
+    "form-name",
+    "timezone",
+    "h-captcha-response",
+    "g-recaptcha-response",
+  ];
+
   // Initialize the application
   function init() {
     console.log("init() called - starting application");
@@ -186,25 +286,30 @@
     });
   }
 
-  // Scroll effects
+  // Scroll effects, batched to one update per frame
   function setupScrollEffects() {
-    let lastScrollY = window.scrollY;
+    let frameRequested = false;
 
-    window.addEventListener("scroll", () => {
-      const currentScrollY = window.scrollY;
+    const update = () => {
+      frameRequested = false;
 
       // Add scrolled class to header
-      if (currentScrollY > 50) {
-        header.classList.add("header--scrolled");
-      } else {
-        header.classList.remove("header--scrolled");
-      }
+      header.classList.toggle("header--scrolled", window.scrollY > 50);
 
       // Update active navigation link
       updateActiveNavLink();
+    };
 
-      lastScrollY = currentScrollY;
-    });
+    window.addEventListener(
+      "scroll",
+      () => {
+        if (frameRequested) return;
+
+        frameRequested = true;
+        requestAnimationFrame(update);
+      },
+      { passive: true }
+    );
   }
 
   // Enhanced active navigation link highlighting with intersection observer
@@ -381,14 +486,33 @@
   }
 
   // Testimonials carousel functionality
-  function setupTestimonialsCarousel() {
+  async function setupTestimonialsCarousel() {
     const carousel = document.querySelector(".testimonials__carousel");
-    const slides = document.querySelectorAll(".testimonial-slide");
+
+    if (!carousel) return;
+
+    // Build slides and indicators from the testimonials feed
+    const feedUrl = carousel.dataset.testimonialsSrc;
+    if (feedUrl) {
+      const testimonials = await loadTestimonials(feedUrl);
+      renderTestimonials(carousel, testimonials);
+    }
+
+    if (window.imageOptimizer) {
+      window.imageOptimizer.observeNewImages(carousel);
+    }
+    upgradeResponsiveImages(carousel);
+
+    const slides = carousel.querySelectorAll(".testimonial-slide");
     const prevBtn = document.querySelector(".testimonial-btn--prev");
     const nextBtn = document.querySelector(".testimonial-btn--next");
     const indicators = document.querySelectorAll(".testimonial-indicator");
 
-    if (!carousel || slides.length === 0) return;
+    if (slides.length === 0) {
+      // Nothing to show - hide the section rather than an empty carousel
+      carousel.closest(".testimonials")?.setAttribute("hidden", "");
+      return;
+    }
 
     let currentSlide = 0;
     let isTransitioning = false;
@@ -601,9 +725,18 @@
       );
     }
 
+    // Auto-play stays off in lite mode and for reduced-motion users
+    function canAutoPlay() {
+      return (
+        !(window.liteMode && window.liteMode.isEnabled()) &&
+        !prefersReducedMotion.matches
+      );
+    }
+
     // Auto-play functionality
     function startAutoPlay() {
       if (autoPlayInterval) clearInterval(autoPlayInterval);
+      if (!canAutoPlay()) return;
 
       autoPlayInterval = setInterval(() => {
         if (!document.hidden && !isTransitioning) {
@@ -651,19 +784,169 @@
       }
     });
 
+    window.addEventListener("liteModeChange", (e) => {
+      if (e.detail.enabled) {
+        pauseAutoPlay();
+      } else {
+        startAutoPlay();
+      }
+    });
+
     // Initialize the carousel
     initCarousel();
   }
 
+  // Load testimonials from the JSON feed
+  async function loadTestimonials(url) {
+    try {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const feed = await response.json();
+
+      // Skip incomplete entries instead of rendering broken slides
+      return (feed.testimonials || []).filter(
+        (testimonial) => testimonial.name && testimonial.quote
+      );
+    } catch (error) {
+      console.warn("Failed to load testimonials:", error.message);
+      return [];
+    }
+  }
+
+  // Render testimonial slides and their indicators
+  function renderTestimonials(carousel, testimonials) {
+    const indicatorContainer = document.querySelector(
+      ".testimonials__indicators"
+    );
+    const total = testimonials.length;
+
+    carousel.innerHTML = "";
+    if (indicatorContainer) {
+      indicatorContainer.innerHTML = "";
+    }
+
+    testimonials.forEach((testimonial, index) => {
+      carousel.appendChild(createTestimonialSlide(testimonial, index, total));
+
+      if (indicatorContainer) {
+        const indicator = document.createElement("button");
+        indicator.className = "testimonial-indicator";
+        indicator.type = "button";
+        indicator.dataset.slide = index;
+        indicator.setAttribute(
+          "aria-label",
+          `Go to testimonial ${index + 1}: ${testimonial.name}`
+        );
+        indicatorContainer.appendChild(indicator);
+      }
+    });
+  }
+
+  function createTestimonialSlide(testimonial, index, total) {
+    const slide = document.createElement("div");
+    slide.className = "testimonial-slide";
+    slide.setAttribute("role", "group");
+    slide.setAttribute("aria-roledescription", "slide");
+    slide.setAttribute("aria-label", `Testimonial ${index + 1} of ${total}`);
+
+    if (testimonial.photo) {
+      const image = document.createElement("img");
+      const src = `assets/images/${testimonial.photo}`;
+
+      // ImageOptimizer loads it once, at the size lite mode calls for
+      if (window.imageOptimizer) {
+        image.dataset.src = src;
+      } else {
+        image.src = src;
+      }
+      image.dataset.image = testimonial.photo.replace(/\.[^.]+$/, "");
+      image.alt = testimonial.name;
+      image.className = "testimonial__image";
+      image.width = 80;
+      image.height = 80;
+      if (index > 0) {
+        image.loading = "lazy";
+      }
+      slide.appendChild(image);
+    }
+
+    const name = document.createElement("div");
+    name.className = "testimonial__name";
+    name.textContent = testimonial.name;
+    slide.appendChild(name);
+
+    const rating = Math.max(
+      0,
+      Math.min(5, Math.round(testimonial.rating || 0))
+    );
+    if (rating > 0) {
+      const stars = document.createElement("div");
+      stars.className = "testimonial__rating";
+      stars.setAttribute("role", "img");
+      stars.setAttribute("aria-label", `${rating} out of 5 stars`);
+      stars.textContent = "★".repeat(rating) + "☆".repeat(5 - rating);
+      slide.appendChild(stars);
+    }
+
+    const comment = document.createElement("p");
+    comment.className = "testimonial__comment";
+    comment.textContent = `"${testimonial.quote}"`;
+    slide.appendChild(comment);
+
+    const date = testimonial.date ? parseLocalDate(testimonial.date) : null;
+    if (date && !isNaN(date)) {
+      const time = document.createElement("time");
+      time.className = "testimonial__date";
+      time.dateTime = testimonial.date;
+      time.textContent = date.toLocaleDateString("en-US", {
+        month: "long",
+        year: "numeric",
+      });
+      slide.appendChild(time);
+    }
+
+    return slide;
+  }
+
+  // "2025-06-12" as a local date; new Date() would read it as UTC midnight,
+  // which is the previous day west of Greenwich
+  function parseLocalDate(value) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    if (!match) return new Date(value);
+
+    const [, year, month, day = 1] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day));
+  }
+
   // Form handling
   function setupFormHandling() {
+    // Render the intake fields first so they get the listeners below, and
+    // let the wizard see submits before handleFormSubmit does
+    setupContactFields();
+    setupContactWizard();
+
     const forms = document.querySelectorAll("form");
 
     forms.forEach((form) => {
-      // Skip Netlify forms - let them submit naturally
-      if (form.hasAttribute("netlify")) {
+      // Netlify forms post natively unless they name a data-endpoint for
+      // formSubmitter, as #contact-form does. Netlify strips the attribute
+      // on deploy, so checking the endpoint keeps local previews on the
+      // same path as production
+      if (form.hasAttribute("netlify") && !form.dataset.endpoint) {
         return;
       }
+
+      // Without the rules engine, leave validation to the browser
+      if (!window.formValidator) {
+        return;
+      }
+
+      // formValidator shows its own messages in place of the browser's
+      form.noValidate = true;
       form.addEventListener("submit", handleFormSubmit);
 
       // Clean up any existing error states on page load
@@ -679,10 +962,11 @@
         // Clean up any existing input error states
         input.classList.remove("form__input--error", "form__input--success");
 
-        // Only validate on blur if the field has been touched and has content
+        // Only validate on blur if the field has been touched and has content.
+        // Async checks (e.g. the email domain) wait for blur, not every key
         input.addEventListener("blur", () => {
           if (input.value.trim() !== "") {
-            validateField(input);
+            validateFieldAsync(input);
           }
         });
 
@@ -693,12 +977,487 @@
           if (input.value.trim() !== "") {
             validateField(input);
           }
+
+          // Cross-field rules: a confirmation or conditionally required
+          // field may have changed state along with this one
+          window.formValidator.getDependents(input).forEach((dependent) => {
+            if (
+              dependent.value.trim() !== "" ||
+              dependent.classList.contains("form__input--error")
+            ) {
+              validateField(dependent);
+            }
+          });
         });
       });
     });
 
     // Setup contact support button
     setupContactSupport();
+
+    // Restore unsent answers before shared content is added to them
+    setupContactDraft();
+
+    // Pre-fill the contact form with content shared to the installed app
+    setupShareTarget();
+  }
+
+  // Render CONTACT_FORM_SCHEMA into the contact form and keep conditional
+  // fields in step with the answers they depend on
+  function setupContactFields() {
+    const form = document.getElementById("contact-form");
+    const message = document.getElementById("message");
+    if (!form || !message) return;
+
+    const messageGroup = message.closest(".form__group");
+    CONTACT_FORM_SCHEMA.forEach((field) => {
+      form.insertBefore(createContactField(field), messageGroup);
+    });
+
+    updateContactFields(form);
+    form.addEventListener("change", () => updateContactFields(form));
+  }
+
+  function createContactField(field) {
+    const id = field.name;
+    const value =
+      typeof field.value === "function" ? field.value() : field.value || "";
+
+    if (field.type === "hidden") {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = field.name;
+      input.value = value;
+      input.dataset.contactField = field.name;
+      return input;
+    }
+
+    const isRadio = field.type === "radio";
+    const group = document.createElement(isRadio ? "fieldset" : "div");
+    group.className = isRadio ? "form__group form__fieldset" : "form__group";
+    group.dataset.contactField = field.name;
+
+    const required = field.required
+      ? ' <span class="form__required">*</span>'
+      : "";
+    const describedBy = [field.help ? `${id}-help` : "", `${id}-error`]
+      .filter(Boolean)
+      .join(" ");
+
+    if (isRadio) {
+      const options = field.options
+        .map((option) => {
+          const optionId = `${id}-${option.value}`;
+          const checked = option.value === value ? " checked" : "";
+
+          return `
+            <div class="form__radio">
+              <input type="radio" id="${optionId}" name="${id}" value="${option.value}"${checked} />
+              <label for="${optionId}">${option.label}</label>
+            </div>`;
+        })
+        .join("");
+
+      group.innerHTML = `
+        <legend class="form__label">${field.label}${required}</legend>
+        <div class="form__options">${options}</div>`;
+    } else {
+      const options = (field.options || [])
+        .map(
+          (option) => `<option value="${option.value}">${option.label}</option>`
+        )
+        .join("");
+      const control =
+        field.type === "select"
+          ? `<select id="${id}" name="${id}" class="form__select">
+              <option value="">Please choose…</option>${options}
+            </select>`
+          : `<input type="${field.type}" id="${id}" name="${id}" class="form__input" />`;
+
+      group.innerHTML = `
+        <label for="${id}" class="form__label">${field.label}${required}</label>
+        ${control}`;
+
+      const input = group.querySelector("input, select");
+      input.required = Boolean(field.required);
+      input.setAttribute("aria-describedby", describedBy);
+      if (field.autocomplete) input.autocomplete = field.autocomplete;
+      if (value) input.value = value;
+    }
+
+    if (field.help) {
+      const help = document.createElement("p");
+      help.id = `${id}-help`;
+      help.className = "form__help";
+      help.textContent = field.help;
+      group.appendChild(help);
+    }
+
+    const error = document.createElement("div");
+    error.id = `${id}-error`;
+    error.className = "form__error";
+    error.setAttribute("role", "alert");
+    error.setAttribute("aria-live", "polite");
+    group.appendChild(error);
+
+    return group;
+  }
+
+  // Show the fields whose showIf matches. Hidden ones are disabled as well,
+  // so they skip validation and aren't submitted with stale answers
+  function updateContactFields(form) {
+    CONTACT_FORM_SCHEMA.filter((field) => field.showIf).forEach((field) => {
+      const group = form.querySelector(`[data-contact-field="${field.name}"]`);
+      const controller = form.elements[field.showIf.field];
+      const visible = Boolean(
+        controller && field.showIf.values.includes(controller.value)
+      );
+
+      if (!group || group.hidden === !visible) return;
+
+      group.hidden = !visible;
+      group.querySelectorAll("input, select, textarea").forEach((input) => {
+        input.disabled = !visible;
+        if (!visible) clearFieldError(input);
+      });
+    });
+  }
+
+  /**
+   * Optional step-by-step mode for the contact form, turned on with
+   * data-wizard="mobile" (small screens) or data-wizard="always". Each step
+   * is checked with validateForm before moving on; Enter in a field moves
+   * to the next step rather than submitting.
+   */
+  function setupContactWizard() {
+    const form = document.getElementById("contact-form");
+    if (!form || !form.dataset.wizard || !window.formValidator) return;
+
+    const steps = CONTACT_WIZARD_STEPS.map((step) => {
+      const groups = step.fields
+        .map((name) => form.querySelector(`[name="${name}"]`))
+        .filter(Boolean)
+        .map((field) => field.closest(".form__group"));
+
+      if (groups.length === 0) return null;
+
+      const element = document.createElement("div");
+      element.className = "form__step";
+      element.setAttribute("role", "group");
+      element.setAttribute("aria-label", step.title);
+      form.insertBefore(element, groups[0]);
+      groups.forEach((group) => element.appendChild(group));
+
+      return { title: step.title, element };
+    }).filter(Boolean);
+
+    if (steps.length < 2) return;
+
+    const progress = document.createElement("div");
+    progress.className = "form__progress";
+    progress.innerHTML = `
+      <p class="form__progress-label" id="contact-progress-label"></p>
+      <div class="form__progress-bar" role="progressbar"
+        aria-labelledby="contact-progress-label"
+        aria-valuemin="1" aria-valuemax="${steps.length}">
+        <span class="form__progress-fill"></span>
+      </div>`;
+    form.insertBefore(progress, steps[0].element);
+
+    const nav = document.createElement("div");
+    nav.className = "form__wizard-nav";
+    nav.innerHTML = `
+      <button type="button" class="btn btn--secondary" data-wizard-back>Back</button>
+      <button type="button" class="btn btn--primary" data-wizard-next>Next</button>`;
+    form.insertBefore(nav, form.querySelector(".form__actions"));
+
+    const label = progress.querySelector(".form__progress-label");
+    const bar = progress.querySelector(".form__progress-bar");
+    const fill = progress.querySelector(".form__progress-fill");
+    const backButton = nav.querySelector("[data-wizard-back]");
+    const nextButton = nav.querySelector("[data-wizard-next]");
+    const query =
+      form.dataset.wizard === "always"
+        ? null
+        : window.matchMedia("(max-width: 768px)");
+    let current = 0;
+
+    const isEnabled = () => !query || query.matches;
+    const isLastStep = () => current === steps.length - 1;
+
+    function showStep(index, { focus = true } = {}) {
+      current = Math.max(0, Math.min(steps.length - 1, index));
+
+      steps.forEach((step, i) => {
+        step.element.classList.toggle("form__step--current", i === current);
+      });
+      form.classList.toggle("contact__form--last-step", isLastStep());
+      backButton.disabled = current === 0;
+
+      const text = `Step ${current + 1} of ${steps.length}: ${
+        steps[current].title
+      }`;
+      label.textContent = text;
+      bar.setAttribute("aria-valuenow", current + 1);
+      bar.setAttribute("aria-valuetext", text);
+      fill.style.width = `${((current + 1) / steps.length) * 100}%`;
+
+      if (!focus || !isEnabled()) return;
+
+      focusFirstField(steps[current].element);
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(text);
+      }
+    }
+
+    function goNext() {
+      const step = steps[current].element;
+
+      if (!validateForm(step)) {
+        focusFirstField(step, ".form__input--error");
+        return;
+      }
+
+      showStep(current + 1);
+    }
+
+    function applyMode() {
+      form.classList.toggle("contact__form--wizard", isEnabled());
+      showStep(current, { focus: false });
+    }
+
+    backButton.addEventListener("click", () => showStep(current - 1));
+    nextButton.addEventListener("click", goNext);
+
+    // Registered before handleFormSubmit, so it can hold the submit back
+    form.addEventListener("submit", (e) => {
+      if (!isEnabled()) return;
+
+      if (!isLastStep()) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        goNext();
+        return;
+      }
+
+      // Earlier answers may have changed since their step was checked, e.g.
+      // a restored draft; take the visitor back to the first step to fix
+      const invalidStep = steps.findIndex(
+        (step) => !validateForm(step.element)
+      );
+      if (invalidStep !== -1) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        showStep(invalidStep, { focus: false });
+        focusFirstField(steps[invalidStep].element, ".form__input--error");
+      }
+    });
+
+    form.addEventListener("reset", () => showStep(0, { focus: false }));
+    if (query) query.addEventListener("change", applyMode);
+
+    applyMode();
+  }
+
+  function focusFirstField(container, selector = "input, select, textarea") {
+    const field = Array.from(container.querySelectorAll(selector)).find(
+      (element) => !element.disabled && element.type !== "hidden"
+    );
+
+    if (field) field.focus();
+  }
+
+  // Keep unsent contact form answers on this device until they're sent or
+  // the visitor clears them
+  function setupContactDraft() {
+    const form = document.getElementById("contact-form");
+    if (!form) return;
+
+    const notice = document.createElement("div");
+    notice.className = "form__draft";
+    notice.setAttribute("role", "status");
+    notice.hidden = true;
+    notice.innerHTML = `
+      <span class="form__draft-text"></span>
+      <button type="button" class="form__draft-clear">Clear draft</button>`;
+    form.insertBefore(notice, form.firstElementChild);
+
+    const text = notice.querySelector(".form__draft-text");
+    const showNotice = (message) => {
+      if (text.textContent !== message) text.textContent = message;
+      notice.hidden = false;
+    };
+
+    const draft = readContactDraft();
+    if (draft) {
+      Object.entries(draft.values).forEach(([name, value]) => {
+        const element = form.elements[name];
+        // A RadioNodeList checks the radio with this value
+        if (element && element.type !== "file") element.value = value;
+      });
+      updateContactFields(form);
+
+      const savedAt = new Date(draft.savedAt).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      });
+      showNotice(`Your unsent message from ${savedAt} has been restored.`);
+    }
+
+    let isSent = false;
+
+    const save = () => {
+      if (isSent) return;
+
+      if (saveContactDraft(form)) {
+        showNotice("Your answers are saved as a draft on this device.");
+      } else {
+        notice.hidden = true;
+      }
+    };
+
+    form.addEventListener("input", debounce(save, 500));
+    form.addEventListener("change", save);
+
+    // Covers both the clear button and a form emptied after sending
+    form.addEventListener("reset", () => {
+      removeContactDraft();
+      notice.hidden = true;
+    });
+
+    notice.querySelector(".form__draft-clear").addEventListener("click", () => {
+      resetForm(form);
+      updateContactFields(form);
+
+      focusFirstField(form, ".form__input, .form__select, .form__textarea");
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce("Draft cleared");
+      }
+    });
+
+    // A native post means the answers are on their way. Prevented submits
+    // either failed validation or went with fetch, which resets the form
+    form.addEventListener("submit", (e) => {
+      if (e.defaultPrevented) return;
+
+      isSent = true;
+      removeContactDraft();
+    });
+  }
+
+  function readContactDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_STORAGE_KEY));
+      if (!draft || !draft.values) return null;
+
+      if (Date.now() - draft.savedAt > CONTACT_DRAFT_MAX_AGE) {
+        removeContactDraft();
+        return null;
+      }
+
+      return draft;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Stores what the form would submit right now; false when there's nothing
+  // worth keeping
+  function saveContactDraft(form) {
+    const values = {};
+
+    new FormData(form).forEach((value, name) => {
+      if (typeof value === "string" && !CONTACT_DRAFT_EXCLUDED.includes(name)) {
+        values[name] = value;
+      }
+    });
+
+    // Preselected answers alone don't make a draft
+    const defaults = Object.fromEntries(
+      CONTACT_FORM_SCHEMA.filter(
+        (field) => typeof field.value === "string"
+      ).map((field) => [field.name, field.value])
+    );
+    const hasAnswers = Object.entries(values).some(
+      ([name, value]) => value.trim() !== "" && value !== defaults[name]
+    );
+
+    try {
+      if (!hasAnswers) {
+        removeContactDraft();
+        return false;
+      }
+
+      localStorage.setItem(
+        CONTACT_DRAFT_STORAGE_KEY,
+        JSON.stringify({ savedAt: Date.now(), values })
+      );
+      return true;
+    } catch (error) {
+      // Storage full or blocked; the answers are still in the form
+      return false;
+    }
+  }
+
+  function removeContactDraft() {
+    try {
+      localStorage.removeItem(CONTACT_DRAFT_STORAGE_KEY);
+    } catch (error) {
+      // Nothing to clear when storage is blocked
+    }
+  }
+
+  // Web Share Target: manifest.json's share_target opens /?title=&text=&url=
+  function setupShareTarget() {
+    const params = new URLSearchParams(window.location.search);
+    const message = document.getElementById("message");
+
+    if (!message || !["title", "text", "url"].some((p) => params.has(p))) {
+      return;
+    }
+
+    const title = (params.get("title") || "").trim();
+    const text = (params.get("text") || "").trim();
+    const url = (params.get("url") || "").trim();
+
+    // Android often sends the link inside text as well
+    const shared = [title, text, url && !text.includes(url) ? url : ""]
+      .filter(Boolean)
+      .join("\n\n");
+
+    if (!shared) return;
+
+    message.value = message.value.trim()
+      ? `${message.value.trim()}\n\n${shared}`
+      : `I'd like to discuss this:\n\n${shared}`;
+    message.dispatchEvent(new Event("input", { bubbles: true }));
+
+    // Drop the shared params so a reload doesn't add them twice, keeping
+    // the state PageTransitions stored for this entry
+    history.replaceState(
+      history.state,
+      "",
+      `${window.location.pathname}#contact`
+    );
+
+    const contactSection = document.getElementById("contact");
+    if (contactSection) {
+      smoothScrollTo(contactSection.offsetTop - header.offsetHeight - 20, 800);
+    }
+
+    // Start with the first field the visitor still has to fill in
+    const firstEmpty = Array.from(
+      document.querySelectorAll("#contact-form [required]:not(:disabled)")
+    ).find((field) => field.value.trim() === "");
+    (firstEmpty || message).focus({ preventScroll: true });
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(
+        "Shared content added to your message in the contact form"
+      );
+    }
   }
 
   function setupContactSupport() {
@@ -741,68 +1500,225 @@
     const form = e.target;
     const submitButton = form.querySelector('button[type="submit"]');
 
-    // For Netlify contact form, just validate and let it submit naturally
-    if (form.id === "contact-form") {
-      // Validate form
-      if (!validateForm(form)) {
-        e.preventDefault();
-        return;
-      }
+    // Every form handled here is sent with fetch
+    e.preventDefault();
 
-      // Show loading state
+    if (!validateForm(form)) {
+      return;
+    }
+
+    // Async checks that haven't run for the current values hold the submit
+    // back until they pass
+    if (needsAsyncValidation(form)) {
       if (submitButton) {
         submitButton.classList.add("btn--loading");
         submitButton.disabled = true;
       }
 
-      // Let the form submit naturally to Netlify (don't prevent default)
-      return;
+      const isValid = await validateFormAsync(form);
+
+      if (submitButton) {
+        submitButton.classList.remove("btn--loading");
+        submitButton.disabled = false;
+      }
+
+      if (!isValid) {
+        return;
+      }
     }
 
-    // For other forms, validate and handle with custom logic
-    if (!validateForm(form)) {
-      e.preventDefault();
+    // The Netlify contact form is posted with fetch too, so the visitor
+    // stays on the page; thank-you.html is only the no-JS fallback
+    if (form.id === "contact-form") {
+      await handleContactFormSubmission(form, submitButton);
       return;
     }
 
-    e.preventDefault();
+    // For other forms, handle with custom logic
     await handleGenericFormSubmission(form, submitButton);
   }
 
-  async function handleGenericFormSubmission(form, submitButton) {
+  async function handleContactFormSubmission(form, submitButton) {
+    const resultElement = document.getElementById("form-result") || form;
+
+    if (!includeCaptchaToken(form, resultElement)) return;
+
+    const result = await handleGenericFormSubmission(
+      form,
+      submitButton,
+      resultElement
+    );
+
+    // Captcha tokens are single-use, whatever the outcome
+    if (window.hcaptcha && form.querySelector(".h-captcha")) {
+      window.hcaptcha.reset();
+    }
+
+    if (result.type === "success" || result.type === "queued") {
+      updateContactFields(form);
+    }
+  }
+
+  /**
+   * hCaptcha renders its token into an h-captcha-response field inside the
+   * form, which then goes out with the other fields. When the page has a
+   * widget, it has to be solved before sending.
+   */
+  function includeCaptchaToken(form, resultElement) {
+    const widget = form.querySelector(".h-captcha");
+    if (!widget) return true;
+
+    let field = form.querySelector('[name="h-captcha-response"]');
+    const token =
+      (field && field.value) ||
+      (window.hcaptcha ? window.hcaptcha.getResponse() : "");
+
+    if (!token) {
+      const container = widget.closest(".form__captcha-container");
+      const errorElement = container && container.querySelector(".form__error");
+      const message = "Please complete the captcha before sending.";
+
+      if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.classList.add("show");
+      } else {
+        showFormMessage(resultElement, message, "error");
+      }
+      return false;
+    }
+
+    if (!field) {
+      field = document.createElement("input");
+      field.type = "hidden";
+      field.name = "h-captcha-response";
+      form.appendChild(field);
+    }
+    field.value = token;
+
+    return true;
+  }
+
+  // Resolves with formSubmitter's result once it's been shown in
+  // messageTarget (the form itself unless given)
+  async function handleGenericFormSubmission(
+    form,
+    submitButton,
+    messageTarget = form
+  ) {
     // Show loading state
     if (submitButton) {
       submitButton.classList.add("btn--loading");
       submitButton.disabled = true;
     }
 
-    // Simulate form submission for other forms
-    setTimeout(() => {
-      // Reset loading state
-      if (submitButton) {
-        submitButton.classList.remove("btn--loading");
-        submitButton.disabled = false;
+    const result = window.formSubmitter
+      ? await window.formSubmitter.submit(form)
+      : { type: "error" };
+
+    // Reset loading state
+    if (submitButton) {
+      submitButton.classList.remove("btn--loading");
+      submitButton.disabled = false;
+    }
+
+    switch (result.type) {
+      case "success":
+        showFormMessage(
+          messageTarget,
+          "Thank you for your message! I'll get back to you soon.",
+          "success"
+        );
+        resetForm(form);
+        break;
+
+      case "invalid":
+        showServerFieldErrors(form, result.fieldErrors, messageTarget);
+        break;
+
+      case "queued":
+        showFormMessage(
+          messageTarget,
+          "You're offline, so your message has been saved and will be sent when you're back online.",
+          "info"
+        );
+        resetForm(form);
+        break;
+
+      case "timeout":
+        showFormMessage(
+          messageTarget,
+          "The server is taking too long to respond. Please try again in a moment.",
+          "error"
+        );
+        break;
+
+      case "offline":
+        showFormMessage(
+          messageTarget,
+          "You appear to be offline. Please try again once you're connected.",
+          "error"
+        );
+        break;
+
+      default:
+        showFormMessage(
+          messageTarget,
+          "Sorry, your message couldn't be sent. Please try again or use the Contact Support button.",
+          "error"
+        );
+    }
+
+    return result;
+  }
+
+  function resetForm(form) {
+    form.reset();
+    form
+      .querySelectorAll("input, textarea, select")
+      .forEach((field) => clearFieldError(field));
+  }
+
+  // Server-side validation errors are keyed by field name
+  function showServerFieldErrors(form, errors, messageTarget = form) {
+    let firstField = null;
+    const unmatched = [];
+
+    Object.entries(errors).forEach(([name, message]) => {
+      const element = form.elements[name];
+      // Radio groups come back as a RadioNodeList
+      const field = element && !element.tagName ? element[0] : element;
+
+      if (!field || !field.id) {
+        unmatched.push(message);
+        return;
       }
 
-      // Show success message
-      showFormMessage(
-        form,
-        "Thank you for your message! I'll get back to you soon.",
-        "success"
-      );
+      // Cleared by formValidator the next time the field is validated
+      field.setCustomValidity(message);
+      field.classList.remove("form__input--success");
+      field.classList.add("form__input--error");
+      showFieldError(field, message);
+      firstField = firstField || field;
+    });
 
-      // Reset form
-      form.reset();
-    }, 2000);
+    if (unmatched.length > 0) {
+      showFormMessage(messageTarget, unmatched.join(" "), "error");
+    }
+
+    if (firstField) firstField.focus();
   }
 
-  function validateForm(form) {
-    const inputs = form.querySelectorAll(
-      "input[required], textarea[required], select[required]"
+  function getValidatedFields(form) {
+    return Array.from(form.querySelectorAll("input, textarea, select")).filter(
+      (field) => window.formValidator.hasRules(field)
     );
+  }
+
+  // Also takes a single wizard step, which is validated on its own
+  function validateForm(form) {
     let isValid = true;
 
-    inputs.forEach((input) => {
+    getValidatedFields(form).forEach((input) => {
       if (!validateField(input)) {
         isValid = false;
       }
@@ -811,34 +1727,40 @@
     return isValid;
   }
 
+  function needsAsyncValidation(form) {
+    return getValidatedFields(form).some((field) =>
+      window.formValidator.needsAsyncValidation(field)
+    );
+  }
+
+  async function validateFormAsync(form) {
+    const results = await Promise.all(
+      getValidatedFields(form).map((field) => validateFieldAsync(field))
+    );
+
+    return results.every(Boolean);
+  }
+
   function validateField(field) {
-    const value = field.value.trim();
-    const fieldType = field.type;
-    let isValid = true;
-    let errorMessage = "";
+    return updateFieldState(field, window.formValidator.validate(field));
+  }
 
-    // Required field validation
-    if (field.hasAttribute("required") && !value) {
-      isValid = false;
-      errorMessage = "This field is required.";
-    }
-    // Email validation
-    else if (fieldType === "email" && value) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(value)) {
-        isValid = false;
-        errorMessage = "Please enter a valid email address.";
-      }
-    }
-    // Phone validation
-    else if (fieldType === "tel" && value) {
-      const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-      if (!phoneRegex.test(value.replace(/[\s\-\(\)]/g, ""))) {
-        isValid = false;
-        errorMessage = "Please enter a valid phone number.";
-      }
+  // Runs the field's async rules too; a result that arrives after the value
+  // changed again is dropped
+  async function validateFieldAsync(field) {
+    const value = field.value;
+    const result = await window.formValidator.validateAsync(field);
+
+    if (result.superseded || field.value !== value) {
+      return result.valid;
     }
 
+    return updateFieldState(field, result);
+  }
+
+  function updateFieldState(field, result) {
+    const isValid = result.valid;
+
     // Update field state
     if (isValid) {
       field.classList.remove("form__input--error");
@@ -847,7 +1769,7 @@
     } else {
       field.classList.remove("form__input--success");
       field.classList.add("form__input--error");
-      showFieldError(field, errorMessage);
+      showFieldError(field, result.message);
     }
 
     return isValid;
@@ -923,7 +1845,7 @@
       }
 
       const messageElement = document.createElement("div");
-      messageElement.className = `form__message form__message--${type}`;
+      messageElement.className = `form__message form__message--${type} show`;
       messageElement.textContent = message;
       messageElement.setAttribute("role", "alert");
 
@@ -973,6 +1895,130 @@
     setupPortfolioImageEffects();
   }
 
+  // Manifest-driven responsive images for <img data-image="name">
+  function setupResponsiveImages() {
+    upgradeResponsiveImages(document);
+
+    // Case studies and page transitions render new images after init
+    document.addEventListener("projectRendered", () =>
+      upgradeResponsiveImages(document)
+    );
+    document.addEventListener("pageTransitionComplete", () =>
+      upgradeResponsiveImages(document)
+    );
+
+    // Leaving lite mode swaps thumbnails for full responsive images
+    window.addEventListener("liteModeChange", (e) => {
+      if (!e.detail.enabled) {
+        upgradeResponsiveImages(document);
+      }
+    });
+  }
+
+  // Lazy images (data-src) are left to ImageOptimizer, which picks their
+  // one source once lite mode is known
+  function upgradeResponsiveImages(root) {
+    const images = root.querySelectorAll(
+      'img[data-image]:not([data-responsive="true"]):not([data-src])'
+    );
+
+    if (images.length === 0 || !window.imageManifestLoader) {
+      return Promise.resolve();
+    }
+
+    return window.imageManifestLoader
+      .load()
+      .then((manifest) => {
+        // Without a manifest the original <img> src stays as the fallback.
+        // In lite mode too: these images are already loading, and a
+        // thumbnail on top of them would only add to the download
+        if (!manifest || (window.liteMode && window.liteMode.isEnabled())) {
+          return;
+        }
+
+        images.forEach((img) => {
+          try {
+            upgradeToPicture(img);
+          } catch (error) {
+            console.warn("Responsive image upgrade failed:", error.message);
+          }
+        });
+      })
+      .catch((error) => {
+        console.warn("Responsive images unavailable:", error.message);
+      });
+  }
+
+  function upgradeToPicture(img) {
+    const loader = window.imageManifestLoader;
+    const name = img.dataset.image;
+
+    if (!loader.getImageData(name)) return;
+
+    const fallbackFormat = loader.generateSrcset(name, "jpeg") ? "jpeg" : "png";
+    const fallbackSrcset = loader.generateSrcset(name, fallbackFormat);
+    const fallbackSrc = loader.getOptimizedSrc(name, "medium", fallbackFormat);
+
+    if (!fallbackSrc) return;
+
+    const sizes = getImageSizes(img);
+
+    // Reuse an existing <picture> wrapper, dropping its hand-written sources
+    let picture = img.parentElement;
+    if (picture && picture.tagName === "PICTURE") {
+      picture.querySelectorAll("source").forEach((source) => source.remove());
+    } else {
+      picture = document.createElement("picture");
+      img.parentNode.insertBefore(picture, img);
+      picture.appendChild(img);
+    }
+
+    // Browsers pick the first source they support, so list smallest first
+    ["avif", "webp"].forEach((format) => {
+      const srcset = loader.generateSrcset(name, format);
+      if (!srcset) return;
+
+      const source = document.createElement("source");
+      source.type = `image/${format}`;
+      source.srcset = srcset;
+      source.sizes = sizes;
+      picture.insertBefore(source, img);
+    });
+
+    if (fallbackSrcset) {
+      img.srcset = fallbackSrcset;
+      img.sizes = sizes;
+    }
+    img.src = fallbackSrc;
+    img.dataset.responsive = "true";
+  }
+
+  // Use data-sizes when given, otherwise derive sizes from the rendered width
+  function getImageSizes(img) {
+    if (img.dataset.sizes) {
+      return img.dataset.sizes;
+    }
+
+    const width =
+      img.getBoundingClientRect().width ||
+      parseInt(img.getAttribute("width"), 10) ||
+      0;
+    const viewport = window.innerWidth || document.documentElement.clientWidth;
+
+    if (!width || width >= viewport * 0.9) {
+      return "100vw";
+    }
+
+    const slot = Math.ceil(width);
+
+    // Small fixed-size images (avatars, icons) keep their width on mobile
+    if (slot <= 200) {
+      return `${slot}px`;
+    }
+
+    return `(max-width: 768px) 100vw, ${slot}px`;
+  }
+
   function setupPortfolioImageEffects() {
     const portfolioImages = document.querySelectorAll(".portfolio-card__image");
 
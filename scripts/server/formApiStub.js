@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Local Form API Stub
+ *
+ * Development stand-in for the services behind the site's forms:
+ * - Email-domain checks for formValidator's `email-domain` async rule,
+ *   answered from a fixture list first and a real MX lookup otherwise
+ * - A contact endpoint for formSubmitter and the outbox that validates like
+ *   the real one, answering 422 with per-field errors, and replays the
+ *   response for an Idempotency-Key it has already accepted
+ *
+ * Usage:
+ *   node scripts/server/formApiStub.js [--port 8789] [--offline] [--delay ms]
+ *
+ * --offline skips DNS entirely; domains outside the fixtures are reported as
+ * unknown, which the site treats as valid. --delay holds every contact
+ * response back, for trying out timeouts and double submits.
+ */
+
+const dns = require("dns").promises;
+
+const { createLocalServer } = require("./localServer");
+
+const DEFAULT_PORT = 8789;
+const DNS_TIMEOUT = 2000;
+
+// Accepted submissions are remembered by Idempotency-Key this long
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+// Same pattern and limits as the contact form's markup, so the client's
+// checks normally catch everything first
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONTACT_FIELDS = {
+  name: { minLength: 2, maxLength: 100 },
+  email: { maxLength: 254 },
+  message: { minLength: 20, maxLength: 5000 },
+};
+
+// Looked up to tell "no such domain" apart from a resolver that can't reach
+// the internet, which answers everything with ENOTFOUND
+const DNS_CANARY = "gmail.com";
+const CANARY_TTL = 60000;
+
+// Answers that don't depend on the network, for predictable local testing
+const DOMAIN_FIXTURES = {
+  "gmail.com": true,
+  "outlook.com": true,
+  "hotmail.com": true,
+  "yahoo.com": true,
+  "icloud.com": true,
+  "proton.me": true,
+  // Typos visitors actually make
+  "gmial.com": false,
+  "gmail.co": false,
+  "hotmial.com": false,
+  "outlok.com": false,
+};
+
+// Reserved names (RFC 2606 / RFC 6761) never receive mail
+const RESERVED_DOMAIN = /(^|\.)(test|invalid|example|localhost)$/;
+
+function parseArgs(argv) {
+  const portIndex = argv.indexOf("--port");
+  const delayIndex = argv.indexOf("--delay");
+
+  return {
+    port:
+      portIndex !== -1 ? Number(argv[portIndex + 1]) : Number(process.env.PORT),
+    offline: argv.includes("--offline"),
+    delay: delayIndex !== -1 ? Number(argv[delayIndex + 1]) || 0 : 0,
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(Object.assign(new Error("DNS timeout"), { code: "ETIMEOUT" })),
+      ms
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let canaryCheck = null;
+
+function isDnsReachable() {
+  if (!canaryCheck || Date.now() - canaryCheck.checkedAt > CANARY_TTL) {
+    canaryCheck = {
+      checkedAt: Date.now(),
+      reachable: withTimeout(dns.resolveMx(DNS_CANARY), DNS_TIMEOUT).then(
+        () => true,
+        () => false
+      ),
+    };
+  }
+
+  return canaryCheck.reachable;
+}
+
+/**
+ * { valid: true } when the domain has a usable MX record, false when it has
+ * none (or only a null MX, "0 ."), and null when we couldn't tell.
+ */
+async function checkEmailDomain(domain, { offline = false } = {}) {
+  if (domain in DOMAIN_FIXTURES) {
+    return { valid: DOMAIN_FIXTURES[domain], source: "fixture" };
+  }
+
+  if (RESERVED_DOMAIN.test(domain)) {
+    return { valid: false, source: "reserved" };
+  }
+
+  if (offline) {
+    return { valid: null, source: "offline" };
+  }
+
+  try {
+    const records = await withTimeout(dns.resolveMx(domain), DNS_TIMEOUT);
+    const usable = records.filter((record) => record.exchange !== "");
+
+    return {
+      valid: usable.length > 0,
+      source: "dns",
+      mx: usable.map((record) => record.exchange),
+    };
+  } catch (error) {
+    // No such domain, or a domain without mail servers
+    const noRecords = error.code === "ENOTFOUND" || error.code === "ENODATA";
+    if (noRecords && (await isDnsReachable())) {
+      return { valid: false, source: "dns" };
+    }
+
+    return { valid: null, source: "dns", error: error.code || error.message };
+  }
+}
+
+// Errors keyed by field name, the shape formSubmitter maps onto fields
+async function validateContact(body, options = {}) {
+  const errors = {};
+
+  Object.entries(CONTACT_FIELDS).forEach(([name, { minLength, maxLength }]) => {
+    const value = typeof body[name] === "string" ? body[name].trim() : "";
+
+    if (!value) {
+      errors[name] = "This field is required.";
+    } else if (minLength && value.length < minLength) {
+      errors[name] = `Please enter at least ${minLength} characters.`;
+    } else if (value.length > maxLength) {
+      errors[name] = `Please keep this to ${maxLength} characters or fewer.`;
+    }
+  });
+
+  if (!errors.email) {
+    const email = body.email.trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.email = "Please enter a valid email address.";
+    } else {
+      const { valid } = await checkEmailDomain(email.split("@").pop(), options);
+      if (valid === false) {
+        errors.email =
+          "This email domain doesn't seem to accept mail. Please check for typos.";
+      }
+    }
+  }
+
+  return errors;
+}
+
+async function acceptContact(body, key, now, options) {
+  if (options.delay) {
+    await new Promise((resolve) => setTimeout(resolve, options.delay));
+  }
+
+  const errors = await validateContact(body, options);
+  if (Object.keys(errors).length > 0) {
+    console.log(
+      `⚠️ Rejected contact submission: ${Object.keys(errors).join(", ")}`
+    );
+    return { status: 422, data: { errors } };
+  }
+
+  const data = { id: key || String(now), receivedAt: now };
+
+  // Like Netlify, accept the honeypot quietly and drop the message
+  if (body["bot-field"]) {
+    console.log("🍯 Honeypot filled, submission discarded");
+  } else {
+    console.log(`📨 Message from ${body.name} <${body.email}>`);
+  }
+
+  return { status: 201, data };
+}
+
+function createServer(options = {}) {
+  const accepted = new Map();
+
+  const routes = {
+    "GET /api/validate/email-domain": async (body, { url }) => {
+      const domain = (url.searchParams.get("domain") || "")
+        .trim()
+        .toLowerCase();
+
+      if (!domain || !domain.includes(".")) {
+        return { status: 400, data: { error: "domain is required" } };
+      }
+
+      const result = await checkEmailDomain(domain, options);
+      console.log(`📧 ${domain}: ${result.valid} (${result.source})`);
+
+      return { status: 200, data: { domain, ...result } };
+    },
+
+    "POST /api/contact": async (body, { request }) => {
+      const key = request.headers["idempotency-key"];
+      const now = Date.now();
+
+      accepted.forEach((entry, storedKey) => {
+        if (now - entry.acceptedAt > IDEMPOTENCY_TTL) {
+          accepted.delete(storedKey);
+        }
+      });
+
+      if (key && accepted.has(key)) {
+        // A duplicate sent while the first is still being handled waits
+        // for its outcome rather than delivering the message again
+        const result = await accepted.get(key).result;
+        if (result.status !== 201) return result;
+
+        console.log(`🔁 Replayed ${key}`);
+        return { status: 200, data: { ...result.data, replayed: true } };
+      }
+
+      // Recorded before anything is awaited, so concurrent duplicates see it
+      const result = acceptContact(body, key, now, options);
+      if (key) {
+        accepted.set(key, { acceptedAt: now, result });
+
+        // Only delivered messages are remembered
+        const forget = () => accepted.delete(key);
+        result.then(({ status }) => status === 201 || forget(), forget);
+      }
+
+      return result;
+    },
+  };
+
+  return createLocalServer(routes);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const port = options.port || DEFAULT_PORT;
+
+  createServer(options).listen(port, () => {
+    console.log(
+      `🧪 Form API stub listening on http://localhost:${port}${
+        options.offline ? " (offline)" : ""
+      }`
+    );
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Form API stub failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, checkEmailDomain, validateContact };
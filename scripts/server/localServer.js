@@ -0,0 +1,148 @@
+/**
+ * Local Server Helpers
+ *
+ * Shared plumbing for the development servers in this folder:
+ * - Route table keyed by "METHOD /path"
+ * - JSON, URL-encoded and multipart request bodies with a size limit
+ * - CORS for pages served from this machine only
+ *
+ * Handlers receive (body, { request, url }) and return
+ * { status, data } for JSON or { status, html } for a page.
+ */
+
+const http = require("http");
+
+// Only pages served from this machine may call the API
+const ALLOWED_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+
+// Text fields of a multipart body; files are reduced to their file name
+function parseMultipart(body, boundary) {
+  const fields = {};
+
+  body.split(`--${boundary}`).forEach((part) => {
+    const match = part.match(
+      /name="([^"]*)"(?:; filename="([^"]*)")?[^]*?\r\n\r\n([^]*)\r\n$/
+    );
+    if (!match) return;
+
+    fields[match[1]] =
+      match[2] !== undefined ? { filename: match[2] } : match[3];
+  });
+
+  return fields;
+}
+
+// sendBeacon posts JSON as text/plain, so anything else is parsed as JSON
+function parseBody(body, contentType = "") {
+  if (!body) return {};
+
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  const multipart = contentType.match(
+    /^multipart\/form-data;.*boundary="?([^";]+)"?/
+  );
+  if (multipart) {
+    return parseMultipart(body, multipart[1]);
+  }
+
+  return JSON.parse(body);
+}
+
+function readBody(request, maxBodySize = DEFAULT_MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > maxBodySize) {
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        request.destroy();
+      }
+    });
+
+    request.on("end", () => {
+      try {
+        resolve(parseBody(body, request.headers["content-type"]));
+      } catch (error) {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, status, data) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(data));
+}
+
+function sendHtml(response, status, html) {
+  response.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+  response.end(html);
+}
+
+function allowLocalOrigin(request, response, methods) {
+  const origin = request.headers.origin;
+  if (!origin || !ALLOWED_ORIGIN.test(origin)) return;
+
+  response.setHeader("Access-Control-Allow-Origin", origin);
+  response.setHeader("Vary", "Origin");
+  response.setHeader("Access-Control-Allow-Methods", methods);
+  response.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Idempotency-Key"
+  );
+}
+
+function createLocalServer(routes, { maxBodySize } = {}) {
+  const methods = [
+    ...new Set(Object.keys(routes).map((route) => route.split(" ")[0])),
+    "OPTIONS",
+  ].join(", ");
+
+  return http.createServer(async (request, response) => {
+    allowLocalOrigin(request, response, methods);
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    const handler = routes[`${request.method} ${url.pathname}`];
+
+    if (!handler) {
+      sendJson(response, 404, { error: "Not found" });
+      return;
+    }
+
+    try {
+      const body =
+        request.method === "GET" ? {} : await readBody(request, maxBodySize);
+      const {
+        status = 200,
+        data,
+        html,
+      } = await handler(body, {
+        request,
+        url,
+      });
+
+      if (html !== undefined) {
+        sendHtml(response, status, html);
+      } else {
+        sendJson(response, status, data);
+      }
+    } catch (error) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createLocalServer, readBody, ALLOWED_ORIGIN };
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * Local Metrics Collector
+ *
+ * Development endpoint for PerformanceMonitor's reporting beacons:
+ * - Appends every { metrics, session } beacon to .metrics/beacons.jsonl
+ * - Summarises LCP, CLS and INP at the 75th percentile, the threshold
+ *   Core Web Vitals are assessed at
+ * - Breaks the summary down by page, connection type and device
+ * - Serves a dashboard of the summary at http://localhost:8788/
+ *
+ * Usage:
+ *   node scripts/server/metricsCollector.js [--port 8788] [--file path.jsonl]
+ *
+ * PerformanceMonitor reports here automatically when the site is served from
+ * localhost.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createLocalServer } = require("./localServer");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const DEFAULT_FILE = path.join(ROOT_DIR, ".metrics/beacons.jsonl");
+
+const DEFAULT_PORT = 8788;
+
+// Beacons repeat every metric recorded so far, so they can get large
+const MAX_BODY_SIZE = 256 * 1024;
+
+// Good / poor thresholds from web.dev; in between needs improvement
+const VITALS = {
+  LCP: { good: 2500, poor: 4000, unit: "ms" },
+  CLS: { good: 0.1, poor: 0.25, unit: "" },
+  INP: { good: 200, poor: 500, unit: "ms" },
+};
+
+const DIMENSIONS = ["page", "connection", "device"];
+
+function parseArgs(argv) {
+  const portIndex = argv.indexOf("--port");
+  const fileIndex = argv.indexOf("--file");
+
+  return {
+    port:
+      portIndex !== -1 ? Number(argv[portIndex + 1]) : Number(process.env.PORT),
+    file: fileIndex !== -1 ? path.resolve(argv[fileIndex + 1]) : DEFAULT_FILE,
+  };
+}
+
+class BeaconStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  append(beacon) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(
+      this.filePath,
+      JSON.stringify({ receivedAt: Date.now(), ...beacon }) + "\n"
+    );
+  }
+
+  // Skips lines that can't be parsed, e.g. one cut short by a crash
+  readAll() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, "utf8");
+    } catch (error) {
+      return [];
+    }
+
+    return content
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+function getPage(url) {
+  try {
+    const pathname = new URL(url).pathname;
+    return pathname.replace(/\/index\.html$/, "/") || "/";
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+function getConnection(connection) {
+  return (connection && connection.effectiveType) || "unknown";
+}
+
+// Same breakpoints as the site's CSS
+function getDevice(viewport) {
+  if (!viewport || !viewport.width) return "unknown";
+  if (viewport.width < 768) return "mobile";
+  if (viewport.width < 1024) return "tablet";
+  return "desktop";
+}
+
+// Nearest-rank percentile, as CrUX reports it
+function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+function rate(name, value) {
+  if (value === null) return null;
+
+  const { good, poor } = VITALS[name];
+  if (value <= good) return "good";
+  if (value <= poor) return "needs-improvement";
+  return "poor";
+}
+
+/**
+ * Flatten beacons into one sample per recorded vital. PerformanceMonitor
+ * sends vitals as soon as they're final and again with every periodic
+ * report, so repeats of the same metric are dropped.
+ */
+function collectSamples(beacons, since = 0) {
+  const seen = new Set();
+  const samples = [];
+
+  beacons.forEach(({ metrics, session = {}, receivedAt }) => {
+    if (!Array.isArray(metrics) || receivedAt < since) return;
+
+    metrics.forEach((metric) => {
+      if (!VITALS[metric.name] || typeof metric.value !== "number") return;
+
+      const key = `${metric.name}|${metric.timestamp}|${metric.url}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      samples.push({
+        name: metric.name,
+        value: metric.value,
+        page: getPage(metric.url || session.url),
+        connection: getConnection(metric.connection || session.connection),
+        device: getDevice(session.viewport),
+      });
+    });
+  });
+
+  return samples;
+}
+
+function summarise(samples) {
+  const summary = {};
+
+  Object.keys(VITALS).forEach((name) => {
+    const values = samples
+      .filter((sample) => sample.name === name)
+      .map((sample) => sample.value);
+    const p75 = percentile(values, 75);
+
+    summary[name] = { p75, count: values.length, rating: rate(name, p75) };
+  });
+
+  return summary;
+}
+
+function getSummary(beacons, since = 0) {
+  const samples = collectSamples(beacons, since);
+  const breakdowns = {};
+
+  DIMENSIONS.forEach((dimension) => {
+    const groups = new Map();
+
+    samples.forEach((sample) => {
+      const group = sample[dimension];
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(sample);
+    });
+
+    breakdowns[dimension] = Array.from(groups, ([group, groupSamples]) => ({
+      group,
+      vitals: summarise(groupSamples),
+    })).sort((a, b) => a.group.localeCompare(b.group));
+  });
+
+  return {
+    since,
+    samples: samples.length,
+    overall: summarise(samples),
+    breakdowns,
+    thresholds: VITALS,
+  };
+}
+
+function renderDashboard() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Web Vitals (p75)</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.125rem; margin-top: 2rem; text-transform: capitalize; }
+    .meta { color: #6b7280; margin-top: 0; }
+    label { font-weight: 600; margin-right: 0.5rem; }
+    table { border-collapse: collapse; min-width: 32rem; }
+    th, td { padding: 0.5rem 0.75rem; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    td.value { font-variant-numeric: tabular-nums; }
+    .good { color: #047857; background: #ecfdf5; }
+    .needs-improvement { color: #b45309; background: #fffbeb; }
+    .poor { color: #b91c1c; background: #fef2f2; }
+    .count { color: #6b7280; font-size: 0.875em; }
+  </style>
+</head>
+<body>
+  <h1>Web Vitals (p75)</h1>
+  <p class="meta" id="meta">Loading…</p>
+
+  <label for="range">Time range</label>
+  <select id="range">
+    <option value="3600000">Last hour</option>
+    <option value="86400000" selected>Last 24 hours</option>
+    <option value="604800000">Last 7 days</option>
+    <option value="0">All time</option>
+  </select>
+
+  <div id="tables"></div>
+
+  <script>
+    const VITALS = ["LCP", "CLS", "INP"];
+
+    // Page paths come straight from beacons
+    function escapeHtml(text) {
+      const div = document.createElement("div");
+      div.textContent = text;
+      return div.innerHTML;
+    }
+
+    function formatValue(name, vital, thresholds) {
+      if (vital.p75 === null) return "–";
+      const value = name === "CLS" ? vital.p75.toFixed(3) : Math.round(vital.p75);
+      return value + thresholds[name].unit;
+    }
+
+    function renderTable(title, rows, thresholds) {
+      const body = rows
+        .map(({ group, vitals }) => {
+          const cells = VITALS.map((name) => {
+            const vital = vitals[name];
+            return '<td class="value ' + (vital.rating || "") + '">' +
+              formatValue(name, vital, thresholds) +
+              ' <span class="count">(' + vital.count + ")</span></td>";
+          }).join("");
+          return "<tr><th scope=\\"row\\">" + escapeHtml(group) + "</th>" + cells + "</tr>";
+        })
+        .join("");
+
+      return "<h2>" + title + "</h2><table><thead><tr><th>" + title + "</th>" +
+        VITALS.map((name) => "<th>" + name + "</th>").join("") +
+        "</tr></thead><tbody>" + (body || '<tr><td colspan="4">No data</td></tr>') +
+        "</tbody></table>";
+    }
+
+    async function load() {
+      const range = Number(document.getElementById("range").value);
+      const since = range ? Date.now() - range : 0;
+      const response = await fetch("/api/metrics/summary?since=" + since);
+      const summary = await response.json();
+
+      document.getElementById("meta").textContent =
+        summary.samples + " samples · updated " + new Date().toLocaleTimeString();
+
+      document.getElementById("tables").innerHTML =
+        renderTable("Overall", [{ group: "All pages", vitals: summary.overall }], summary.thresholds) +
+        Object.entries(summary.breakdowns)
+          .map(([dimension, rows]) => renderTable(dimension, rows, summary.thresholds))
+          .join("");
+    }
+
+    document.getElementById("range").addEventListener("change", load);
+    setInterval(load, 30000);
+    load();
+  </script>
+</body>
+</html>
+`;
+}
+
+function createServer(store) {
+  const routes = {
+    "GET /": async () => ({ status: 200, html: renderDashboard() }),
+
+    // sendBeacon posts the JSON as text/plain, which readBody parses all the same
+    "POST /api/metrics": async (body) => {
+      if (!Array.isArray(body.metrics)) {
+        return { status: 400, data: { error: "metrics must be an array" } };
+      }
+
+      store.append({ metrics: body.metrics, session: body.session || {} });
+      return { status: 202, data: { received: body.metrics.length } };
+    },
+
+    "GET /api/metrics/summary": async (body, { url }) => {
+      const since = Number(url.searchParams.get("since")) || 0;
+      return { status: 200, data: getSummary(store.readAll(), since) };
+    },
+  };
+
+  return createLocalServer(routes, { maxBodySize: MAX_BODY_SIZE });
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const store = new BeaconStore(options.file);
+  const port = options.port || DEFAULT_PORT;
+
+  createServer(store).listen(port, () => {
+    console.log(`📊 Metrics dashboard on http://localhost:${port}`);
+    console.log(
+      `📁 Storing beacons in ${path.relative(ROOT_DIR, store.filePath)}`
+    );
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Metrics collector failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { BeaconStore, createServer, getSummary, percentile };
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Local Push Server
+ *
+ * Development server for the site's Web Push opt-in (PWAManager):
+ * - Stores subscriptions and their topics in .push/subscriptions.json
+ * - Creates a VAPID key pair on first run (or reads VAPID_* env variables)
+ * - Sends a notification to every subscriber of a topic
+ * - Drops subscriptions the push service reports as gone
+ *
+ * Usage:
+ *   node scripts/server/pushServer.js [--port 8787]
+ *   node scripts/server/pushServer.js send <topic> "<title>" "<body>" [url]
+ *
+ * Requires web-push, which is not a site dependency. Install it locally with
+ * `npm install --no-save web-push` before running.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createLocalServer } = require("./localServer");
+
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const DATA_DIR = path.join(ROOT_DIR, ".push");
+const VAPID_PATH = path.join(DATA_DIR, "vapid.json");
+const SUBSCRIPTIONS_PATH = path.join(DATA_DIR, "subscriptions.json");
+const PUSH_CONFIG_PATH = path.join(ROOT_DIR, "data/push.json");
+
+const DEFAULT_PORT = 8787;
+
+function loadWebPush() {
+  try {
+    return require("web-push");
+  } catch (error) {
+    console.error(
+      "❌ web-push is required to send notifications. Run `npm install --no-save web-push` and try again."
+    );
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const portIndex = argv.indexOf("--port");
+
+  return {
+    command: argv[0] === "send" ? "send" : "serve",
+    port:
+      portIndex !== -1 ? Number(argv[portIndex + 1]) : Number(process.env.PORT),
+    send: argv[0] === "send" ? argv.slice(1) : [],
+  };
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n");
+}
+
+function getTopics() {
+  const config = readJson(PUSH_CONFIG_PATH, { topics: [] });
+  return config.topics.map((topic) => topic.id);
+}
+
+// Notification buttons configured for a topic in data/push.json
+function getTopicActions(topicId) {
+  const config = readJson(PUSH_CONFIG_PATH, { topics: [] });
+  const topic = config.topics.find((entry) => entry.id === topicId);
+  return (topic && topic.actions) || [];
+}
+
+function getVapidKeys(webPush) {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+    };
+  }
+
+  let keys = readJson(VAPID_PATH, null);
+  if (!keys) {
+    keys = webPush.generateVAPIDKeys();
+    writeJson(VAPID_PATH, keys);
+    console.log(
+      `🔑 Generated VAPID keys in ${path.relative(ROOT_DIR, VAPID_PATH)}`
+    );
+  }
+
+  return keys;
+}
+
+class SubscriptionStore {
+  constructor(filePath = SUBSCRIPTIONS_PATH) {
+    this.filePath = filePath;
+    this.subscriptions = readJson(filePath, []);
+  }
+
+  save() {
+    writeJson(this.filePath, this.subscriptions);
+  }
+
+  // Re-subscribing with the same endpoint replaces its topics
+  upsert(subscription, topics) {
+    const now = new Date().toISOString();
+    const existing = this.subscriptions.find(
+      (entry) => entry.subscription.endpoint === subscription.endpoint
+    );
+
+    if (existing) {
+      existing.subscription = subscription;
+      existing.topics = topics;
+      existing.updatedAt = now;
+    } else {
+      this.subscriptions.push({
+        subscription,
+        topics,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+
+    this.save();
+  }
+
+  remove(endpoint) {
+    const count = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(
+      (entry) => entry.subscription.endpoint !== endpoint
+    );
+
+    if (this.subscriptions.length !== count) {
+      this.save();
+      return true;
+    }
+
+    return false;
+  }
+
+  forTopic(topic) {
+    return this.subscriptions.filter((entry) => entry.topics.includes(topic));
+  }
+}
+
+/**
+ * Send a notification to everyone subscribed to a topic. The payload matches
+ * what the service worker's push handler reads: title, body, data and actions.
+ * Actions default to the topic's buttons; sw.js routes them on click.
+ */
+async function sendToTopic(webPush, store, message) {
+  const { topic, title, body, url = "/", tag } = message;
+  const actions = message.actions || getTopicActions(topic);
+
+  const payload = JSON.stringify({
+    title,
+    body,
+    tag: tag || topic,
+    data: { url, topic },
+    actions,
+  });
+
+  const results = { sent: 0, failed: 0, removed: 0 };
+
+  for (const entry of store.forTopic(topic)) {
+    try {
+      await webPush.sendNotification(entry.subscription, payload);
+      results.sent++;
+    } catch (error) {
+      // 404 and 410 mean the subscription has expired or was revoked
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        store.remove(entry.subscription.endpoint);
+        results.removed++;
+      } else {
+        console.error(`❌ Push failed (${error.statusCode}): ${error.body}`);
+        results.failed++;
+      }
+    }
+  }
+
+  console.log(
+    `📨 ${topic}: sent ${results.sent}, failed ${results.failed}, removed ${results.removed}`
+  );
+
+  return results;
+}
+
+function validateTopics(topics) {
+  const known = getTopics();
+
+  if (!Array.isArray(topics) || topics.length === 0) {
+    return "At least one topic is required";
+  }
+
+  const unknown = topics.filter((topic) => !known.includes(topic));
+  return unknown.length > 0 ? `Unknown topics: ${unknown.join(", ")}` : null;
+}
+
+function createServer(webPush, store, keys) {
+  const routes = {
+    "GET /api/push/vapid-public-key": async () => ({
+      status: 200,
+      data: { publicKey: keys.publicKey },
+    }),
+
+    "POST /api/push/subscriptions": async (body) => {
+      const { subscription, topics } = body;
+      if (!subscription || !subscription.endpoint || !subscription.keys) {
+        return { status: 400, data: { error: "Invalid subscription" } };
+      }
+
+      const topicError = validateTopics(topics);
+      if (topicError) {
+        return { status: 400, data: { error: topicError } };
+      }
+
+      store.upsert(subscription, topics);
+      console.log(
+        `✅ Subscribed ${shortEndpoint(subscription.endpoint)} to ${topics.join(
+          ", "
+        )}`
+      );
+      return { status: 201, data: { topics } };
+    },
+
+    "DELETE /api/push/subscriptions": async (body) => {
+      if (!body.endpoint) {
+        return { status: 400, data: { error: "endpoint is required" } };
+      }
+
+      const removed = store.remove(body.endpoint);
+      console.log(`🗑️ Unsubscribed ${shortEndpoint(body.endpoint)}`);
+      return { status: removed ? 200 : 404, data: { removed } };
+    },
+
+    "POST /api/push/send": async (body) => {
+      if (!body.topic || !body.title) {
+        return { status: 400, data: { error: "topic and title are required" } };
+      }
+
+      const topicError = validateTopics([body.topic]);
+      if (topicError) {
+        return { status: 400, data: { error: topicError } };
+      }
+
+      return { status: 200, data: await sendToTopic(webPush, store, body) };
+    },
+  };
+
+  return createLocalServer(routes);
+}
+
+function shortEndpoint(endpoint) {
+  return `${endpoint.slice(0, 40)}…`;
+}
+
+function setupWebPush() {
+  const webPush = loadWebPush();
+  const keys = getVapidKeys(webPush);
+
+  webPush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:admin@localhost",
+    keys.publicKey,
+    keys.privateKey
+  );
+
+  return { webPush, keys };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const { webPush, keys } = setupWebPush();
+  const store = new SubscriptionStore();
+
+  if (options.command === "send") {
+    const [topic, title, body = "", url = "/"] = options.send;
+    const topicError = validateTopics([topic]);
+
+    if (!title || topicError) {
+      console.error(
+        `Usage: node scripts/server/pushServer.js send <${getTopics().join(
+          "|"
+        )}> "<title>" "<body>" [url]`
+      );
+      process.exit(1);
+    }
+
+    await sendToTopic(webPush, store, { topic, title, body, url });
+    return;
+  }
+
+  const port = options.port || DEFAULT_PORT;
+  const config = readJson(PUSH_CONFIG_PATH, {});
+
+  createServer(webPush, store, keys).listen(port, () => {
+    console.log(`🔔 Push server listening on http://localhost:${port}`);
+
+    if (config.vapidPublicKey !== keys.publicKey) {
+      console.log(
+        `ℹ️ Set "vapidPublicKey" in data/push.json to enable the opt-in:\n   ${keys.publicKey}`
+      );
+    }
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Push server failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SubscriptionStore, createServer, sendToTopic };
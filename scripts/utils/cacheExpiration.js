@@ -0,0 +1,278 @@
+/**
+ * Cache Expiration
+ *
+ * IndexedDB-backed bookkeeping for the service worker's runtime caches.
+ * The Cache API keeps no timestamps, so every entry's insert and last access
+ * time is recorded here, in an idbStore.js store (loaded by sw.js via
+ * importScripts):
+ * - Expires entries older than a route's maxAge
+ * - Evicts least-recently-used entries beyond a route's maxEntries
+ * - Trims the oldest entries across caches when storage quota runs low
+ * - Reports entry counts and sizes per cache
+ */
+
+class CacheExpiration {
+  constructor(options = {}) {
+    this.options = {
+      dbName: "portfolio-cache-expiration",
+      storeName: "entries",
+      quotaThreshold: 0.8, // Start evicting above 80% of the origin's quota
+      quotaEvictionRatio: 0.25, // Share of evictable entries dropped per pass
+      quotaCheckInterval: 60000, // Check quota at most once a minute
+      ...options,
+    };
+
+    this.store = new IDBStore({
+      dbName: this.options.dbName,
+      storeName: this.options.storeName,
+      keyPath: "key",
+      index: "cacheName",
+    });
+    this.lastQuotaCheck = 0;
+  }
+
+  isSupported() {
+    return this.store.isSupported();
+  }
+
+  getKey(cacheName, url) {
+    return `${cacheName}|${url}`;
+  }
+
+  async get(cacheName, url) {
+    return (
+      (await this.store.run("readonly", (store) =>
+        store.get(this.getKey(cacheName, url))
+      )) || null
+    );
+  }
+
+  async getEntries(cacheName) {
+    return (
+      (await this.store.run("readonly", (store) =>
+        store.index("cacheName").getAll(cacheName)
+      )) || []
+    );
+  }
+
+  async recordInsert(cacheName, url, response) {
+    const now = Date.now();
+    const size = Number(response && response.headers.get("content-length"));
+
+    await this.store.run("readwrite", (store) =>
+      store.put({
+        key: this.getKey(cacheName, url),
+        cacheName,
+        url,
+        insertedAt: now,
+        accessedAt: now,
+        size: size || 0,
+      })
+    );
+  }
+
+  async recordAccess(cacheName, url) {
+    const entry = await this.get(cacheName, url);
+
+    // Entries cached before tracking began start their clock now
+    const now = Date.now();
+    await this.store.run("readwrite", (store) =>
+      store.put(
+        entry
+          ? { ...entry, accessedAt: now }
+          : {
+              key: this.getKey(cacheName, url),
+              cacheName,
+              url,
+              insertedAt: now,
+              accessedAt: now,
+              size: 0,
+            }
+      )
+    );
+  }
+
+  async isExpired(cacheName, url, maxAge) {
+    if (!maxAge) return false;
+
+    const entry = await this.get(cacheName, url);
+    return Boolean(entry && Date.now() - entry.insertedAt > maxAge);
+  }
+
+  async delete(cacheName, urls) {
+    if (urls.length === 0) return;
+
+    const cache = await caches.open(cacheName);
+    await Promise.all(urls.map((url) => cache.delete(url)));
+    await this.store.run("readwrite", (store) => {
+      urls.forEach((url) => store.delete(this.getKey(cacheName, url)));
+    });
+  }
+
+  // Drop every record for a cache that has been deleted
+  async forget(cacheName) {
+    const entries = await this.getEntries(cacheName);
+
+    await this.store.run("readwrite", (store) => {
+      entries.forEach((entry) => store.delete(entry.key));
+    });
+  }
+
+  /**
+   * Drop entries past maxAge, then the least recently used ones beyond
+   * maxEntries. Cache keys with no record yet are adopted first so nothing
+   * escapes eviction.
+   */
+  async expire(cacheName, { maxEntries, maxAge } = {}) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    const now = Date.now();
+
+    const known = new Map(
+      (await this.getEntries(cacheName)).map((entry) => [entry.url, entry])
+    );
+    const cachedUrls = new Set(keys.map((request) => request.url));
+
+    // Forget records whose cache entry is already gone
+    const orphaned = [...known.keys()].filter((url) => !cachedUrls.has(url));
+    if (orphaned.length > 0) {
+      await this.store.run("readwrite", (store) => {
+        orphaned.forEach((url) => store.delete(this.getKey(cacheName, url)));
+      });
+      orphaned.forEach((url) => known.delete(url));
+    }
+
+    for (const url of cachedUrls) {
+      if (!known.has(url)) {
+        await this.recordAccess(cacheName, url);
+        known.set(url, { url, insertedAt: now, accessedAt: now });
+      }
+    }
+
+    const entries = [...known.values()];
+    const expired = maxAge
+      ? entries.filter((entry) => now - entry.insertedAt > maxAge)
+      : [];
+
+    const fresh = entries
+      .filter((entry) => !expired.includes(entry))
+      .sort((a, b) => a.accessedAt - b.accessedAt);
+    const evicted =
+      maxEntries && fresh.length > maxEntries
+        ? fresh.slice(0, fresh.length - maxEntries)
+        : [];
+
+    const urls = [...expired, ...evicted].map((entry) => entry.url);
+    await this.delete(cacheName, urls);
+
+    if (urls.length > 0) {
+      console.log(
+        `🗑️ Service Worker: Expired ${expired.length} and evicted ${evicted.length} items from ${cacheName}`
+      );
+    }
+
+    return { expired: expired.length, evicted: evicted.length };
+  }
+
+  async estimate() {
+    if (
+      typeof navigator === "undefined" ||
+      !navigator.storage ||
+      !navigator.storage.estimate
+    ) {
+      return null;
+    }
+
+    try {
+      return await navigator.storage.estimate();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * When usage passes the quota threshold, drop the least recently used share
+   * of entries across the given caches. Precached assets are never passed in.
+   */
+  async enforceQuota(cacheNames, { force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - this.lastQuotaCheck < this.options.quotaCheckInterval) {
+      return 0;
+    }
+    this.lastQuotaCheck = now;
+
+    const estimate = await this.estimate();
+    if (!estimate || !estimate.quota) return 0;
+
+    if (estimate.usage / estimate.quota < this.options.quotaThreshold) {
+      return 0;
+    }
+
+    const entries = (
+      await Promise.all(cacheNames.map((name) => this.getEntries(name)))
+    )
+      .flat()
+      .sort((a, b) => a.accessedAt - b.accessedAt);
+
+    const evicted = entries.slice(
+      0,
+      Math.ceil(entries.length * this.options.quotaEvictionRatio)
+    );
+
+    for (const cacheName of cacheNames) {
+      await this.delete(
+        cacheName,
+        evicted
+          .filter((entry) => entry.cacheName === cacheName)
+          .map((entry) => entry.url)
+      );
+    }
+
+    console.warn(
+      `⚠️ Service Worker: Storage at ${Math.round(
+        (estimate.usage / estimate.quota) * 100
+      )}% of quota, evicted ${evicted.length} cached items`
+    );
+
+    return evicted.length;
+  }
+
+  // Entry counts, known sizes and age range for each cache
+  async getUsage(cacheNames) {
+    const usage = {};
+
+    for (const cacheName of cacheNames) {
+      const keys = await (await caches.open(cacheName)).keys();
+      const entries = await this.getEntries(cacheName);
+
+      usage[cacheName] = {
+        entries: keys.length,
+        tracked: entries.length,
+        bytes: entries.reduce((total, entry) => total + (entry.size || 0), 0),
+        oldestInsert: entries.length
+          ? Math.min(...entries.map((entry) => entry.insertedAt))
+          : null,
+        lastAccess: entries.length
+          ? Math.max(...entries.map((entry) => entry.accessedAt))
+          : null,
+      };
+    }
+
+    const estimate = await this.estimate();
+
+    return {
+      caches: usage,
+      usage: estimate ? estimate.usage : null,
+      quota: estimate ? estimate.quota : null,
+    };
+  }
+}
+
+// Create global instance in the worker's global scope
+self.CacheExpiration = CacheExpiration;
+self.cacheExpiration = new CacheExpiration();
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CacheExpiration;
+}
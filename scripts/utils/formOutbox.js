@@ -0,0 +1,239 @@
+/**
+ * Form Submission Outbox
+ *
+ * IndexedDB-backed queue for form submissions made while offline, built on
+ * idbStore.js. The same file is loaded by the page (pwa.js) and by the
+ * service worker (sw.js via importScripts), so both sides read and write the
+ * same store:
+ * - Persists submissions until they are delivered
+ * - Tracks retry counts with exponential backoff between attempts
+ * - Parks submissions that keep failing instead of retrying forever
+ */
+
+class FormOutbox {
+  constructor(options = {}) {
+    this.options = {
+      dbName: "portfolio-outbox",
+      storeName: "submissions",
+      defaultUrl: "/api/contact",
+      maxAttempts: 5, // Attempts before a submission is parked as failed
+      baseRetryDelay: 30000, // 30 seconds
+      maxRetryDelay: 3600000, // 1 hour
+      sendingTimeout: 60000, // Reclaim entries stuck in "sending"
+      ...options,
+    };
+
+    this.store = new IDBStore({
+      dbName: this.options.dbName,
+      storeName: this.options.storeName,
+      keyPath: "id",
+      index: "status",
+    });
+  }
+
+  isSupported() {
+    return this.store.isSupported();
+  }
+
+  // request.id lets a caller keep its own idempotency key for the entry
+  async add(data, request = {}) {
+    const now = Date.now();
+    const entry = {
+      id: request.id || this.generateId(),
+      data,
+      url: request.url || this.options.defaultUrl,
+      encoding: request.encoding || "json",
+      status: "pending",
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastError: null,
+    };
+
+    await this.store.run("readwrite", (store) => store.put(entry));
+
+    return entry;
+  }
+
+  async getAll() {
+    const entries =
+      (await this.store.run("readonly", (store) => store.getAll())) || [];
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async get(id) {
+    return (await this.store.run("readonly", (store) => store.get(id))) || null;
+  }
+
+  async remove(id) {
+    await this.store.run("readwrite", (store) => store.delete(id));
+  }
+
+  async getDue(now = Date.now()) {
+    const entries = await this.getAll();
+    return entries.filter((entry) => this.isDue(entry, now));
+  }
+
+  isDue(entry, now = Date.now()) {
+    if (entry.status === "pending") {
+      return entry.nextAttemptAt <= now;
+    }
+
+    // A sender that died mid-request leaves the entry in "sending"
+    if (entry.status === "sending") {
+      return now - entry.lastAttemptAt > this.options.sendingTimeout;
+    }
+
+    return false;
+  }
+
+  // Mark an entry as in flight so the page and the worker never both send it
+  claim(id) {
+    const now = Date.now();
+
+    return this.store.update(id, (entry) => {
+      if (!this.isDue(entry, now)) return null;
+
+      return {
+        ...entry,
+        status: "sending",
+        attempts: entry.attempts + 1,
+        lastAttemptAt: now,
+      };
+    });
+  }
+
+  recordFailure(id, error, { permanent = false } = {}) {
+    const now = Date.now();
+
+    return this.store.update(id, (entry) => {
+      const exhausted = entry.attempts >= this.options.maxAttempts;
+
+      return {
+        ...entry,
+        status: permanent || exhausted ? "failed" : "pending",
+        nextAttemptAt: now + this.getRetryDelay(entry.attempts),
+        lastError: error ? String(error.message || error) : null,
+      };
+    });
+  }
+
+  // Put a parked or waiting entry back at the front of the queue
+  retry(id) {
+    return this.store.update(id, (entry) => ({
+      ...entry,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    }));
+  }
+
+  getRetryDelay(attempts) {
+    const { baseRetryDelay, maxRetryDelay } = this.options;
+    const delay = baseRetryDelay * Math.pow(2, Math.max(0, attempts - 1));
+
+    // Add up to 10% jitter so queued clients don't retry in lockstep
+    return Math.min(maxRetryDelay, delay + Math.random() * delay * 0.1);
+  }
+
+  isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // The entry id doubles as the Idempotency-Key, so a retry after a lost
+  // response isn't delivered twice
+  buildRequest(entry) {
+    if (entry.encoding === "urlencoded") {
+      return {
+        url: entry.url,
+        options: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            "Idempotency-Key": entry.id,
+          },
+          body: new URLSearchParams(entry.data).toString(),
+        },
+      };
+    }
+
+    return {
+      url: entry.url,
+      options: {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": entry.id,
+        },
+        body: JSON.stringify(entry.data),
+      },
+    };
+  }
+
+  /**
+   * Send every due entry once. Used by the service worker's sync handler and
+   * by the page when Background Sync is unavailable.
+   */
+  async flush() {
+    const summary = { sent: [], failed: [], pending: 0 };
+    const due = await this.getDue();
+
+    for (const { id } of due) {
+      const entry = await this.claim(id);
+      if (!entry) continue;
+
+      try {
+        const { url, options } = this.buildRequest(entry);
+        const response = await fetch(url, options);
+
+        if (response.ok) {
+          await this.remove(id);
+          summary.sent.push(id);
+          continue;
+        }
+
+        const updated = await this.recordFailure(
+          id,
+          new Error(`HTTP ${response.status}`),
+          { permanent: !this.isRetryableStatus(response.status) }
+        );
+
+        if (updated && updated.status === "failed") {
+          summary.failed.push(id);
+        }
+      } catch (error) {
+        const updated = await this.recordFailure(id, error);
+
+        if (updated && updated.status === "failed") {
+          summary.failed.push(id);
+        }
+      }
+    }
+
+    const remaining = await this.getAll();
+    summary.pending = remaining.filter(
+      (entry) => entry.status !== "failed"
+    ).length;
+
+    return summary;
+  }
+
+  generateId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+}
+
+// Create global instance (window on the page, the worker's global scope in sw.js)
+self.FormOutbox = FormOutbox;
+self.formOutbox = new FormOutbox();
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FormOutbox;
+}
@@ -0,0 +1,247 @@
+/**
+ * Form Submission
+ *
+ * Sends main.js forms to their endpoint with fetch:
+ * - To data-endpoint if set, so `action` can stay a no-JS fallback page
+ * - JSON by default; FormData for forms with enctype="multipart/form-data"
+ *   or data-encoding="formdata", URL-encoded for data-encoding="urlencoded"
+ * - Gives up after a timeout, so a hung server can't leave a form spinning
+ * - Sends an Idempotency-Key that stays the same while the same answers are
+ *   retried, so a retry after a timeout can't deliver a message twice
+ * - Hands the submission to the PWA outbox when the visitor is offline
+ *
+ * Servers report validation problems as 400 or 422 with
+ * { errors: { <field name>: "message" } }, which come back as fieldErrors.
+ */
+
+const SUBMISSION_ENCODINGS = ["json", "formdata", "urlencoded"];
+
+class FormSubmitter {
+  constructor(options = {}) {
+    this.options = {
+      defaultUrl: "/api/contact", // Same default as the outbox
+      apiBase: "", // Prefixed to /api/ URLs, e.g. a local mock server
+      timeout: 10000,
+      ...options,
+    };
+
+    // Per form: the answers last sent and the key they were sent with
+    this.pending = new WeakMap();
+  }
+
+  getEncoding(form) {
+    const encoding = form.dataset.encoding;
+    if (SUBMISSION_ENCODINGS.includes(encoding)) return encoding;
+
+    return form.enctype === "multipart/form-data" ? "formdata" : "json";
+  }
+
+  getUrl(form) {
+    const url =
+      form.dataset.endpoint ||
+      form.getAttribute("action") ||
+      this.options.defaultUrl;
+    return url.startsWith("/api/") ? `${this.options.apiBase}${url}` : url;
+  }
+
+  // Text fields only; repeated names become arrays
+  toObject(formData) {
+    const data = {};
+
+    formData.forEach((value, name) => {
+      if (typeof value !== "string") return;
+
+      data[name] = name in data ? [].concat(data[name], value) : value;
+    });
+
+    return data;
+  }
+
+  // Files are compared by name and size rather than read
+  getFingerprint(formData) {
+    return JSON.stringify(
+      Array.from(formData.entries(), ([name, value]) => [
+        name,
+        typeof value === "string" ? value : `${value.name}:${value.size}`,
+      ])
+    );
+  }
+
+  /**
+   * The key for these answers: reused until they're delivered, so resending
+   * after a timeout or a dropped connection is recognised as the same
+   * submission. Changing any answer makes it a new one.
+   */
+  getIdempotencyKey(form, formData) {
+    const fingerprint = this.getFingerprint(formData);
+    const pending = this.pending.get(form);
+
+    if (pending && pending.fingerprint === fingerprint) {
+      return pending.key;
+    }
+
+    const key = this.generateId();
+    this.pending.set(form, { fingerprint, key });
+    return key;
+  }
+
+  buildRequest(encoding, formData, key) {
+    const headers = {
+      Accept: "application/json",
+      "Idempotency-Key": key,
+    };
+
+    if (encoding === "formdata") {
+      // fetch adds the multipart boundary itself
+      return { method: "POST", headers, body: formData };
+    }
+
+    if (encoding === "urlencoded") {
+      return {
+        method: "POST",
+        headers: {
+          ...headers,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(
+          Array.from(formData.entries()).filter(
+            ([, value]) => typeof value === "string"
+          )
+        ).toString(),
+      };
+    }
+
+    return {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(this.toObject(formData)),
+    };
+  }
+
+  /**
+   * Submit a form. Resolves with { type } and never rejects:
+   * - "success": delivered, with the server's JSON as `data`
+   * - "invalid": rejected with per-field `fieldErrors`
+   * - "queued": offline, saved to the outbox for later
+   * - "timeout", "offline" or "error": nothing was delivered
+   */
+  async submit(form) {
+    const encoding = this.getEncoding(form);
+    const url = this.getUrl(form);
+    const formData = new FormData(form);
+    const key = this.getIdempotencyKey(form, formData);
+
+    if (!navigator.onLine) {
+      return this.queue(form, { url, encoding, key, formData });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        ...this.buildRequest(encoding, formData, key),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return { type: "timeout" };
+      }
+
+      // The connection dropped; the outbox retries with backoff
+      return this.queue(form, { url, encoding, key, formData });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await this.readResponse(response);
+
+    if (response.ok) {
+      this.pending.delete(form);
+      return { type: "success", status: response.status, data };
+    }
+
+    if (
+      (response.status === 400 || response.status === 422) &&
+      data &&
+      data.errors
+    ) {
+      return {
+        type: "invalid",
+        status: response.status,
+        data,
+        fieldErrors: data.errors,
+      };
+    }
+
+    return {
+      type: "error",
+      status: response.status,
+      data,
+      message: data && data.error,
+    };
+  }
+
+  // Not every endpoint answers with JSON, e.g. Netlify's form handler
+  async readResponse(response) {
+    const type = response.headers.get("Content-Type") || "";
+    if (!type.includes("application/json")) return null;
+
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async queue(form, { url, encoding, key, formData }) {
+    const outbox = window.formOutbox;
+
+    // Files can't be kept in the outbox
+    if (encoding === "formdata" || !outbox || !outbox.isSupported()) {
+      return { type: "offline" };
+    }
+
+    try {
+      // The outbox entry keeps the key, so its retries are idempotent too
+      await outbox.add(this.toObject(formData), { url, encoding, id: key });
+    } catch (error) {
+      console.error("Failed to queue form submission:", error);
+      return { type: "offline" };
+    }
+
+    this.pending.delete(form);
+
+    if (window.pwaManager) {
+      window.pwaManager
+        .requestSync()
+        .catch((error) =>
+          console.warn("Background sync not registered:", error.message)
+        );
+    }
+
+    console.log("📤 Form submission queued for background sync");
+    return { type: "queued" };
+  }
+
+  generateId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+}
+
+// Create global instance before main.js wires up its forms
+window.formSubmitter = new FormSubmitter({
+  // Locally, scripts/server/formApiStub.js answers /api/ requests
+  apiBase:
+    window.location.hostname === "localhost" ? "http://localhost:8789" : "",
+});
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FormSubmitter;
+}
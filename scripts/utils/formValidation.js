@@ -0,0 +1,417 @@
+/**
+ * Form Validation Rules
+ *
+ * Declarative validation for main.js forms, driven by the markup:
+ * - Native attributes: required, type, minlength, maxlength, pattern, min, max
+ * - data-match="<name>": must equal another field, e.g. a confirmation email
+ * - data-required-if="<name>=<value>|<value>": required when another field
+ *   has one of the given values
+ * - data-validate="<rule> <rule>": custom rules registered with addRule()
+ * - data-validate-async="<rule>": async rules registered with addAsyncRule(),
+ *   such as the email-domain MX check
+ *
+ * Messages come from VALIDATION_MESSAGES for the page language and can be
+ * overridden per field with data-msg-<rule>, or per language with
+ * addMessages(). Results are mirrored into the constraint API with
+ * setCustomValidity(), so :invalid and checkValidity() agree with them.
+ */
+
+const VALIDATION_MESSAGES = {
+  en: {
+    required: "This field is required.",
+    email: "Please enter a valid email address.",
+    tel: "Please enter a valid phone number.",
+    url: "Please enter a valid web address.",
+    invalid: "Please check this field.",
+    minlength: "Please enter at least {minlength} characters.",
+    maxlength: "Please keep this to {maxlength} characters or fewer.",
+    pattern: "Please match the requested format.",
+    min: "Please enter {min} or more.",
+    max: "Please enter {max} or less.",
+    match: "This doesn't match the {label} field.",
+    emailDomain:
+      "This email domain doesn't seem to accept mail. Please check for typos.",
+  },
+};
+
+// Same checks main.js has always used; stricter than the browser's own
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\+]?[1-9][\d]{0,15}$/;
+
+class FormValidator {
+  constructor(options = {}) {
+    this.options = {
+      emailDomainEndpoint: null,
+      asyncTimeout: 3000, // Unanswered async checks count as passed
+      ...options,
+    };
+
+    this.messages = { ...VALIDATION_MESSAGES };
+    this.rules = new Map();
+    this.asyncRules = new Map();
+
+    // Per field: { value, result } of the last finished async check, and the
+    // AbortController of the one in flight
+    this.asyncResults = new WeakMap();
+    this.asyncControllers = new WeakMap();
+
+    this.addAsyncRule("email-domain", (value, field, { signal }) =>
+      this.checkEmailDomain(value, signal)
+    );
+  }
+
+  /**
+   * Register a custom rule for data-validate. `validate(value, field, form)`
+   * returns true when valid, or false / a message key / a message otherwise.
+   */
+  addRule(name, validate) {
+    this.rules.set(name, validate);
+  }
+
+  // Same contract as addRule(), but `validate` may return a promise and gets
+  // an AbortSignal as its third argument's `signal`
+  addAsyncRule(name, validate) {
+    this.asyncRules.set(name, validate);
+  }
+
+  addMessages(locale, messages) {
+    this.messages[locale] = { ...this.messages[locale], ...messages };
+  }
+
+  getLocaleMessages() {
+    const lang = (document.documentElement.lang || "en").toLowerCase();
+    const base = lang.split("-")[0];
+
+    return {
+      ...this.messages.en,
+      ...this.messages[base],
+      ...this.messages[lang],
+    };
+  }
+
+  // "email-domain" -> "emailDomain", matching message keys and dataset names
+  toKey(rule) {
+    return rule.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  getMessage(field, rule, params = {}) {
+    const key = this.toKey(rule);
+    const override =
+      field.dataset[`msg${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+    const template =
+      override ||
+      this.getLocaleMessages()[key] ||
+      this.getLocaleMessages().invalid;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match
+    );
+  }
+
+  getLabel(field) {
+    // Fields outside any form, e.g. a data-match target, use the page's labels
+    const scope = field.form || document;
+    const label = field.id
+      ? scope.querySelector(`label[for="${field.id}"]`)
+      : null;
+
+    return label
+      ? label.textContent.replace("*", "").trim()
+      : field.name || "other";
+  }
+
+  getFieldValue(form, name) {
+    const element = form.elements[name];
+    if (!element) return "";
+
+    if (element.type === "checkbox") {
+      return element.checked ? element.value : "";
+    }
+
+    // RadioNodeList.value is the checked radio's value
+    return (element.value || "").trim();
+  }
+
+  // Fields whose cross-field rules read this field's value
+  getDependents(field) {
+    if (!field.form || !field.name) return [];
+
+    return Array.from(
+      field.form.querySelectorAll("[data-match], [data-required-if]")
+    ).filter(
+      (other) =>
+        other.dataset.match === field.name ||
+        (other.dataset.requiredIf || "").split("=")[0] === field.name
+    );
+  }
+
+  isRequired(field) {
+    if (field.required) return true;
+
+    const condition = field.dataset.requiredIf;
+    if (!condition || !field.form) return false;
+
+    const [name, values = ""] = condition.split("=");
+    return values.split("|").includes(this.getFieldValue(field.form, name));
+  }
+
+  hasRules(field) {
+    return Boolean(
+      field.required ||
+        field.dataset.requiredIf ||
+        field.dataset.match ||
+        field.dataset.validate ||
+        field.dataset.validateAsync ||
+        field.hasAttribute("minlength") ||
+        field.hasAttribute("maxlength") ||
+        field.hasAttribute("pattern") ||
+        ["email", "tel", "url", "number"].includes(field.type)
+    );
+  }
+
+  // Fields that are disabled or inside a hidden container aren't submitted
+  // in any way the visitor can fix, so they're skipped
+  isActive(field) {
+    return !field.disabled && !field.closest("[hidden]");
+  }
+
+  fail(field, rule, params) {
+    return {
+      valid: false,
+      rule,
+      message: this.getMessage(field, rule, params),
+    };
+  }
+
+  /**
+   * Run every synchronous rule, stopping at the first failure. Async rules
+   * only contribute a result already fetched for the current value.
+   */
+  validate(field) {
+    const result = this.runRules(field);
+    field.setCustomValidity(result.valid ? "" : result.message);
+    return result;
+  }
+
+  runRules(field) {
+    const value = field.value.trim();
+    const form = field.form;
+
+    // Clear our own message so the constraint API reports only native state
+    field.setCustomValidity("");
+
+    if (!this.isActive(field)) {
+      return { valid: true };
+    }
+
+    const isChoice = field.type === "checkbox" || field.type === "radio";
+
+    if (this.isRequired(field)) {
+      const missing =
+        field.type === "checkbox"
+          ? !field.checked
+          : field.type === "radio"
+          ? !this.getFieldValue(form, field.name)
+          : !value;
+
+      if (missing) return this.fail(field, "required");
+    }
+
+    // Empty optional fields and ticked choices have nothing else to check
+    if (!value || isChoice) {
+      return { valid: true };
+    }
+
+    if (field.type === "email" && !EMAIL_PATTERN.test(value)) {
+      return this.fail(field, "email");
+    }
+
+    if (
+      field.type === "tel" &&
+      !PHONE_PATTERN.test(value.replace(/[\s\-\(\)]/g, ""))
+    ) {
+      return this.fail(field, "tel");
+    }
+
+    if (field.validity.typeMismatch) {
+      return this.fail(field, field.type === "url" ? "url" : "invalid");
+    }
+
+    if (field.validity.badInput) {
+      return this.fail(field, "invalid");
+    }
+
+    // tooShort/tooLong only flag values the visitor typed, so check directly
+    if (field.minLength > 0 && value.length < field.minLength) {
+      return this.fail(field, "minlength", { minlength: field.minLength });
+    }
+
+    if (field.maxLength > 0 && value.length > field.maxLength) {
+      return this.fail(field, "maxlength", { maxlength: field.maxLength });
+    }
+
+    if (field.validity.patternMismatch) {
+      return this.fail(field, "pattern", { title: field.title });
+    }
+
+    if (field.validity.rangeUnderflow) {
+      return this.fail(field, "min", { min: field.min });
+    }
+
+    if (field.validity.rangeOverflow) {
+      return this.fail(field, "max", { max: field.max });
+    }
+
+    if (
+      field.dataset.match &&
+      form &&
+      value !== this.getFieldValue(form, field.dataset.match)
+    ) {
+      const other = form.elements[field.dataset.match];
+      return this.fail(field, "match", {
+        label: other && other.id ? this.getLabel(other) : field.dataset.match,
+      });
+    }
+
+    for (const rule of this.getRuleNames(field.dataset.validate)) {
+      const validate = this.rules.get(rule);
+
+      if (!validate) {
+        console.warn(`Unknown validation rule "${rule}" on #${field.id}`);
+        continue;
+      }
+
+      const outcome = this.toResult(field, rule, validate(value, field, form));
+      if (!outcome.valid) return outcome;
+    }
+
+    const cached = this.asyncResults.get(field);
+    if (cached && cached.value === value && !cached.result.valid) {
+      return cached.result;
+    }
+
+    return { valid: true };
+  }
+
+  getRuleNames(attribute) {
+    return (attribute || "").split(/\s+/).filter(Boolean);
+  }
+
+  // Rules answer true, false, a message key or a ready-made message
+  toResult(field, rule, outcome) {
+    if (outcome === true || outcome === undefined) return { valid: true };
+    if (outcome === false) return this.fail(field, rule);
+
+    const messages = this.getLocaleMessages();
+    return {
+      valid: false,
+      rule,
+      message: messages[this.toKey(outcome)]
+        ? this.getMessage(field, outcome)
+        : outcome,
+    };
+  }
+
+  // True while the current value hasn't been through the field's async rules
+  needsAsyncValidation(field) {
+    if (!field.dataset.validateAsync || !this.isActive(field)) return false;
+
+    const cached = this.asyncResults.get(field);
+    return !cached || cached.value !== field.value.trim();
+  }
+
+  /**
+   * Run the synchronous rules, then the async ones if those pass. A newer
+   * call for the same field aborts the older one, and results are cached by
+   * value so submitting again doesn't repeat the request.
+   */
+  async validateAsync(field) {
+    const syncResult = this.validate(field);
+    if (!syncResult.valid || !this.needsAsyncValidation(field)) {
+      return syncResult;
+    }
+
+    const value = field.value.trim();
+    const previous = this.asyncControllers.get(field);
+    if (previous) previous.abort();
+
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      this.options.asyncTimeout
+    );
+    this.asyncControllers.set(field, controller);
+
+    let result = { valid: true };
+
+    try {
+      for (const rule of this.getRuleNames(field.dataset.validateAsync)) {
+        const validate = this.asyncRules.get(rule);
+        if (!validate) {
+          console.warn(
+            `Unknown async validation rule "${rule}" on #${field.id}`
+          );
+          continue;
+        }
+
+        result = this.toResult(
+          field,
+          rule,
+          await validate(value, field, { signal: controller.signal })
+        );
+        if (!result.valid) break;
+      }
+    } catch (error) {
+      // A newer check replaced this one; its result is the one that counts
+      if (this.asyncControllers.get(field) !== controller) {
+        return { valid: true, superseded: true };
+      }
+
+      // Lookups that fail or time out shouldn't stop anyone getting in touch
+      console.warn("Async validation skipped:", error.message);
+      result = { valid: true };
+    } finally {
+      clearTimeout(timer);
+      if (this.asyncControllers.get(field) === controller) {
+        this.asyncControllers.delete(field);
+      }
+    }
+
+    this.asyncResults.set(field, { value, result });
+    field.setCustomValidity(result.valid ? "" : result.message);
+
+    return result;
+  }
+
+  // Domains that can't receive mail have no MX record (or a null MX)
+  async checkEmailDomain(value, signal) {
+    const endpoint = this.options.emailDomainEndpoint;
+    if (!endpoint) return true;
+
+    const domain = value.split("@").pop().toLowerCase();
+    const response = await fetch(
+      `${endpoint}?domain=${encodeURIComponent(domain)}`,
+      { signal }
+    );
+
+    if (!response.ok) return true;
+
+    const { valid } = await response.json();
+    return valid === false ? "emailDomain" : true;
+  }
+}
+
+// Create global instance before main.js wires up its forms
+window.formValidator = new FormValidator({
+  // Locally, scripts/server/formApiStub.js answers the MX lookups. The live
+  // site has no lookup service yet, so the check is skipped there
+  emailDomainEndpoint:
+    window.location.hostname === "localhost"
+      ? "http://localhost:8789/api/validate/email-domain"
+      : null,
+});
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FormValidator;
+}
@@ -0,0 +1,102 @@
+/**
+ * IndexedDB Store
+ *
+ * A single object store in its own database, shared by the IndexedDB-backed
+ * utilities (formOutbox.js and cacheExpiration.js). Loaded by the page and
+ * by the service worker (sw.js via importScripts) before them:
+ * - Opens the database once, creating the store and its index on first use
+ * - Runs operations that resolve once their transaction commits
+ */
+
+class IDBStore {
+  constructor({ dbName, storeName, keyPath, index }) {
+    this.options = { dbName, storeName, keyPath, index };
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    const { dbName, storeName, keyPath, index } = this.options;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, { keyPath });
+          if (index) {
+            store.createIndex(index, index);
+          }
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run a single store operation and resolve once the transaction commits
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, mode);
+      const request = operation(
+        transaction.objectStore(this.options.storeName)
+      );
+
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Read-modify-write an entry inside one transaction. `updater` returns the
+  // new entry, or nothing to leave it as it is
+  async update(key, updater) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, "readwrite");
+      const store = transaction.objectStore(this.options.storeName);
+      const request = store.get(key);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) return;
+
+        updated = updater(request.result);
+        if (updated) {
+          store.put(updated);
+        }
+      };
+
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Shared with the stores built on it
+self.IDBStore = IDBStore;
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = IDBStore;
+}
@@ -9,15 +9,24 @@ class ImageManifestLoader {
   constructor() {
     this.manifest = null;
     this.loaded = false;
+    this.loadPromise = null;
   }
 
-  async load() {
-    if (this.loaded) {
-      return this.manifest;
+  load() {
+    // Share one request between every caller (optimizer, responsive images)
+    if (!this.loadPromise) {
+      this.loadPromise = this.fetchManifest();
     }
 
+    return this.loadPromise;
+  }
+
+  async fetchManifest() {
     try {
-      const response = await fetch("assets/images/image-manifest.json");
+      // Regenerated in place with the images, so always revalidate it
+      const response = await fetch("/assets/images/image-manifest.json", {
+        cache: "no-cache",
+      });
 
       if (!response.ok) {
         console.warn("Image manifest not found, using fallback optimization");
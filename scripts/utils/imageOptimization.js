@@ -112,48 +112,71 @@ class ImageOptimizer {
     const src = img.dataset.src || img.src;
     if (!src) return;
 
-    // Create optimized source set
-    const optimizedSrc = this.getOptimizedImageSrc(src);
-
-    // Create new image element to preload
-    const imageLoader = new Image();
+    // Wait for the manifest so the variant is picked once, at the size lite
+    // mode calls for, instead of guessing and then swapping
+    const manifestReady = window.imageManifestLoader
+      ? window.imageManifestLoader.load().catch(() => null)
+      : Promise.resolve(null);
+
+    manifestReady.then(() => {
+      // Create optimized source set
+      const optimizedSrc = this.getOptimizedImageSrc(src);
+
+      // Create new image element to preload
+      const imageLoader = new Image();
+
+      // Set up load handlers
+      imageLoader.onload = () => {
+        this.onImageLoad(img, optimizedSrc);
+      };
 
-    // Set up load handlers
-    imageLoader.onload = () => {
-      this.onImageLoad(img, optimizedSrc);
-    };
+      imageLoader.onerror = () => {
+        this.onImageError(img, src);
+      };
 
-    imageLoader.onerror = () => {
-      this.onImageError(img, src);
-    };
+      // Start loading
+      imageLoader.src = optimizedSrc;
+    });
+  }
 
-    // Start loading
-    imageLoader.src = optimizedSrc;
+  // Lite mode asks for thumbnails; everyone else gets the medium variant
+  getPreferredSize() {
+    return window.liteMode && window.liteMode.isEnabled()
+      ? "thumbnail"
+      : "medium";
   }
 
-  getOptimizedImageSrc(src) {
-    if (!this.options.enableWebP || !this.supportsWebP()) {
-      return src;
-    }
+  getOptimizedImageSrc(src, size = this.getPreferredSize()) {
+    const useWebP = this.options.enableWebP && this.supportsWebP();
 
     // Check if we have an optimized version from the build process
     if (window.imageManifest) {
       const imageName = this.extractImageName(src);
       const imageData = window.imageManifest.images[imageName];
-
-      if (imageData && imageData.variants.webp) {
-        // Return the medium size WebP version as default
-        const webpVariant =
-          imageData.variants.webp.medium ||
-          imageData.variants.webp.thumbnail ||
-          Object.values(imageData.variants.webp)[0];
-
-        if (webpVariant) {
-          return webpVariant.path;
+      const variants =
+        imageData &&
+        (useWebP
+          ? imageData.variants.webp
+          : imageData.variants.jpeg || imageData.variants.png);
+
+      if (variants) {
+        // Fall back to the medium size, then whatever exists
+        const variant =
+          variants[size] ||
+          variants.medium ||
+          variants.thumbnail ||
+          Object.values(variants)[0];
+
+        if (variant) {
+          return variant.path;
         }
       }
     }
 
+    if (!useWebP) {
+      return src;
+    }
+
     // Fallback to simple WebP conversion
     if (!src.includes(".webp")) {
       const webpSrc = src.replace(/\.(jpg|jpeg|png)$/i, ".webp");
@@ -0,0 +1,137 @@
+/**
+ * Lite Mode
+ *
+ * A lighter site for visitors on 2G connections or with Save-Data turned on.
+ * Loaded in <head> so the decision is made before third-party widgets load:
+ * - Detects slow connections from navigator.connection
+ * - Lets visitors force it on or off with [data-lite-mode-toggle] buttons
+ * - Adds a `lite-mode` class to <html> and fires `liteModeChange` on window
+ *
+ * Features opt in by checking `window.liteMode.isEnabled()`.
+ */
+
+const LITE_MODE_STORAGE_KEY = "liteMode";
+
+class LiteMode {
+  constructor() {
+    this.override = this.readOverride();
+    this.enabled = this.computeEnabled();
+
+    this.init();
+  }
+
+  init() {
+    this.applyClass();
+
+    // Follow connection changes unless the visitor has chosen for themselves
+    if (navigator.connection && navigator.connection.addEventListener) {
+      navigator.connection.addEventListener("change", () => this.update());
+    }
+
+    document.addEventListener("DOMContentLoaded", () => this.setupToggles());
+  }
+
+  isSlowConnection() {
+    const connection = navigator.connection;
+
+    return Boolean(
+      connection &&
+        (connection.saveData || /2g$/.test(connection.effectiveType || ""))
+    );
+  }
+
+  // "on", "off" or null when following the connection
+  readOverride() {
+    try {
+      const value = localStorage.getItem(LITE_MODE_STORAGE_KEY);
+      return value === "on" || value === "off" ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  computeEnabled() {
+    if (this.override) {
+      return this.override === "on";
+    }
+
+    return this.isSlowConnection();
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  getReason() {
+    if (this.override) return "user";
+    if (!this.enabled) return null;
+
+    return navigator.connection.saveData ? "save-data" : "slow-connection";
+  }
+
+  /**
+   * Force lite mode on or off. Choosing what the connection would pick anyway
+   * clears the override, so the site goes back to following the connection.
+   */
+  setEnabled(enabled) {
+    this.override =
+      enabled === this.isSlowConnection() ? null : enabled ? "on" : "off";
+
+    try {
+      if (this.override) {
+        localStorage.setItem(LITE_MODE_STORAGE_KEY, this.override);
+      } else {
+        localStorage.removeItem(LITE_MODE_STORAGE_KEY);
+      }
+    } catch (error) {
+      // The choice still applies for this page view
+    }
+
+    this.update();
+  }
+
+  update() {
+    const enabled = this.computeEnabled();
+    if (enabled === this.enabled) return;
+
+    this.enabled = enabled;
+    this.applyClass();
+    this.updateToggles();
+
+    console.log(`🪶 Lite mode ${enabled ? "on" : "off"} (${this.getReason()})`);
+
+    window.dispatchEvent(
+      new CustomEvent("liteModeChange", {
+        detail: { enabled, reason: this.getReason() },
+      })
+    );
+  }
+
+  applyClass() {
+    document.documentElement.classList.toggle("lite-mode", this.enabled);
+  }
+
+  setupToggles() {
+    document.querySelectorAll("[data-lite-mode-toggle]").forEach((toggle) => {
+      toggle.addEventListener("click", () => this.setEnabled(!this.enabled));
+      toggle.hidden = false;
+    });
+
+    this.updateToggles();
+  }
+
+  updateToggles() {
+    document.querySelectorAll("[data-lite-mode-toggle]").forEach((toggle) => {
+      toggle.setAttribute("aria-pressed", String(this.enabled));
+      toggle.textContent = `Lite mode: ${this.enabled ? "On" : "Off"}`;
+    });
+  }
+}
+
+// Create global instance before any feature asks for it
+window.liteMode = new LiteMode();
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LiteMode;
+}
@@ -2,12 +2,48 @@
  * Performance Monitoring and Core Web Vitals
  *
  * Tracks and reports performance metrics including:
- * - Core Web Vitals (LCP, FID, CLS)
+ * - Core Web Vitals (LCP, INP, CLS), measured the way web-vitals does and
+ *   reported once per page with attribution for debugging
  * - Navigation timing
  * - Resource loading performance
+ * - Long tasks and long animation frames, attributed to our scripts or
+ *   third parties, with a Total Blocking Time estimate and a debug overlay
+ * - Performance budgets from data/performance-budgets.json, reported as
+ *   BUDGET_VIOLATION metrics (scripts/build/checkBudgets.js checks the same
+ *   file offline)
  * - Custom performance marks
  */
 
+// Long tasks block input for everything past this
+const BLOCKING_THRESHOLD = 50;
+
+// Script hosts reported under a single name in long-task attribution
+const THIRD_PARTY_SOURCES = {
+  Smartsupp: /(^|\.)smartsupp(chat|cdn)?\.com$/,
+  hCaptcha: /(^|\.)hcaptcha\.com$/,
+  "Google Analytics": /(^|\.)(googletagmanager|google-analytics)\.com$/,
+};
+
+// Page paths are matched with an optional trailing wildcard, e.g. "/projects/*"
+function matchesBudgetPath(pattern, pathname) {
+  const page = pathname.replace(/\/index\.html$/, "/");
+
+  return pattern.endsWith("*")
+    ? page.startsWith(pattern.slice(0, -1))
+    : page === pattern;
+}
+
+// Default budgets overridden by every page entry that matches, in order
+function resolveBudgets(config, pathname) {
+  return (config.pages || [])
+    .filter((entry) =>
+      entry.paths.some((pattern) => matchesBudgetPath(pattern, pathname))
+    )
+    .reduce((budgets, entry) => ({ ...budgets, ...entry.budgets }), {
+      ...config.default,
+    });
+}
+
 class PerformanceMonitor {
   constructor(options = {}) {
     this.options = {
@@ -15,6 +51,9 @@ class PerformanceMonitor {
       enableResourceTiming: true,
       enableNavigationTiming: true,
       enableCustomMetrics: true,
+      enableLongTaskTiming: true,
+      longTaskOverlay: options.debug || false,
+      budgetUrl: "/data/performance-budgets.json",
       reportingEndpoint: options.reportingEndpoint || null,
       sampleRate: options.sampleRate || 1.0, // 100% by default
       debug: options.debug || false,
@@ -24,6 +63,9 @@ class PerformanceMonitor {
     this.metrics = new Map();
     this.observers = [];
 
+    // Metrics such as LCP and TBT are reported once, when their value is final
+    this.finalizedMetrics = new Set();
+
     this.init();
   }
 
@@ -49,6 +91,14 @@ class PerformanceMonitor {
       this.setupCustomMetrics();
     }
 
+    if (this.options.enableLongTaskTiming) {
+      this.setupLongTaskTiming();
+    }
+
+    if (this.options.budgetUrl) {
+      this.setupPerformanceBudgets();
+    }
+
     // Setup automatic reporting
     this.setupReporting();
 
@@ -56,57 +106,260 @@ class PerformanceMonitor {
   }
 
   setupCoreWebVitals() {
-    // Largest Contentful Paint (LCP)
-    this.observePerformanceEntry("largest-contentful-paint", (entries) => {
-      const lastEntry = entries[entries.length - 1];
-      this.recordMetric("LCP", lastEntry.startTime, {
-        element: lastEntry.element?.tagName || "unknown",
+    this.observeLCP();
+    this.observeINP();
+    this.observeCLS();
+
+    // First Contentful Paint (FCP)
+    this.observePerformanceEntry("paint", (entries) => {
+      const fcpEntry = entries.find(
+        (entry) => entry.name === "first-contentful-paint"
+      );
+      if (fcpEntry) {
+        this.fcpTime = fcpEntry.startTime;
+        this.recordMetric("FCP", fcpEntry.startTime);
+      }
+    });
+
+    // Time to First Byte (TTFB)
+    if ("navigation" in performance.getEntriesByType("navigation")[0]) {
+      const navEntry = performance.getEntriesByType("navigation")[0];
+      this.recordMetric("TTFB", navEntry.responseStart - navEntry.requestStart);
+    }
+  }
+
+  /**
+   * Largest Contentful Paint: the last candidate before the visitor first
+   * interacts or leaves, since later paints no longer count.
+   */
+  observeLCP() {
+    let lastEntry = null;
+
+    const observer = this.observePerformanceEntry(
+      "largest-contentful-paint",
+      (entries) => {
+        lastEntry = entries[entries.length - 1];
+      }
+    );
+
+    const finalize = () => {
+      if (!lastEntry) return;
+      if (observer) {
+        observer.takeRecords().forEach((entry) => (lastEntry = entry));
+        observer.disconnect();
+      }
+
+      const navEntry = performance.getEntriesByType("navigation")[0];
+      const resource =
+        lastEntry.url &&
+        performance.getEntriesByName(lastEntry.url, "resource")[0];
+
+      this.finalizeMetric("LCP", lastEntry.startTime, {
+        element: this.getElementSelector(lastEntry.element),
         url: lastEntry.url || "",
         size: lastEntry.size || 0,
+        loadState: this.getLoadState(lastEntry.startTime),
+        timeToFirstByte: navEntry ? navEntry.responseStart : null,
+        resourceLoadDuration: resource
+          ? resource.responseEnd - resource.startTime
+          : null,
+      });
+    };
+
+    ["keydown", "pointerdown"].forEach((type) => {
+      window.addEventListener(type, () => setTimeout(finalize, 0), {
+        once: true,
+        capture: true,
       });
     });
+    this.onHidden(finalize);
+  }
 
-    // First Input Delay (FID)
-    this.observePerformanceEntry("first-input", (entries) => {
-      const firstEntry = entries[0];
-      this.recordMetric(
-        "FID",
-        firstEntry.processingStart - firstEntry.startTime,
-        {
-          eventType: firstEntry.name,
-          target: firstEntry.target?.tagName || "unknown",
+  /**
+   * Interaction to Next Paint from Event Timing entries. Entries sharing an
+   * interactionId are one interaction; the value is the worst interaction,
+   * ignoring one outlier per 50 interactions (the 98th percentile).
+   */
+  observeINP() {
+    const interactions = new Map();
+
+    const handleEntries = (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.interactionId) return;
+
+        const interaction = interactions.get(entry.interactionId);
+        if (!interaction || entry.duration > interaction.duration) {
+          interactions.set(entry.interactionId, {
+            duration: entry.duration,
+            entry,
+          });
         }
+      });
+    };
+
+    // durationThreshold keeps short interactions out of the buffer; the
+    // first input is observed separately so it counts even when quick
+    this.observePerformanceEntry("event", handleEntries, {
+      durationThreshold: 40,
+    });
+    this.observePerformanceEntry("first-input", handleEntries);
+
+    this.onHidden(() => {
+      if (interactions.size === 0) return;
+
+      const sorted = [...interactions.values()].sort(
+        (a, b) => b.duration - a.duration
       );
+      const interactionCount =
+        performance.interactionCount || interactions.size;
+      const { duration, entry } =
+        sorted[Math.min(sorted.length - 1, Math.floor(interactionCount / 50))];
+
+      const processingEnd = entry.processingEnd || entry.processingStart;
+
+      this.finalizeMetric("INP", duration, {
+        interactionTarget: this.getElementSelector(entry.target),
+        interactionType: /^key/.test(entry.name) ? "keyboard" : "pointer",
+        eventType: entry.name,
+        inputDelay: entry.processingStart - entry.startTime,
+        processingDuration: processingEnd - entry.processingStart,
+        presentationDelay: Math.max(
+          entry.startTime + duration - processingEnd,
+          0
+        ),
+        interactionCount,
+        loadState: this.getLoadState(entry.startTime),
+      });
     });
+  }
+
+  /**
+   * Cumulative Layout Shift using session windows: shifts less than 1s apart
+   * form a session of at most 5s, and CLS is the largest session's total.
+   */
+  observeCLS() {
+    let sessionValue = 0;
+    let sessionEntries = [];
+    let maxValue = 0;
+    let maxEntries = [];
 
-    // Cumulative Layout Shift (CLS)
-    let clsValue = 0;
     this.observePerformanceEntry("layout-shift", (entries) => {
-      for (const entry of entries) {
-        if (!entry.hadRecentInput) {
-          clsValue += entry.value;
+      entries.forEach((entry) => {
+        if (entry.hadRecentInput) return;
+
+        const first = sessionEntries[0];
+        const last = sessionEntries[sessionEntries.length - 1];
+
+        if (
+          first &&
+          entry.startTime - last.startTime < 1000 &&
+          entry.startTime - first.startTime < 5000
+        ) {
+          sessionValue += entry.value;
+          sessionEntries.push(entry);
+        } else {
+          sessionValue = entry.value;
+          sessionEntries = [entry];
         }
-      }
-      this.recordMetric("CLS", clsValue);
+
+        if (sessionValue > maxValue) {
+          maxValue = sessionValue;
+          maxEntries = [...sessionEntries];
+        }
+      });
     });
 
-    // First Contentful Paint (FCP)
-    this.observePerformanceEntry("paint", (entries) => {
-      const fcpEntry = entries.find(
-        (entry) => entry.name === "first-contentful-paint"
+    this.onHidden(() => {
+      const largestShift = maxEntries.reduce(
+        (largest, entry) =>
+          !largest || entry.value > largest.value ? entry : largest,
+        null
       );
-      if (fcpEntry) {
-        this.recordMetric("FCP", fcpEntry.startTime);
-      }
+
+      // Shifted nodes may be gone, so keep the largest one still attached
+      const source =
+        largestShift &&
+        largestShift.sources &&
+        largestShift.sources.find((item) => item.node);
+
+      this.finalizeMetric("CLS", maxValue, {
+        largestShiftTarget: this.getElementSelector(source && source.node),
+        largestShiftValue: largestShift ? largestShift.value : 0,
+        largestShiftTime: largestShift ? largestShift.startTime : null,
+        shiftCount: maxEntries.length,
+        loadState: largestShift
+          ? this.getLoadState(largestShift.startTime)
+          : this.getLoadState(performance.now()),
+      });
     });
+  }
 
-    // Time to First Byte (TTFB)
-    if ("navigation" in performance.getEntriesByType("navigation")[0]) {
-      const navEntry = performance.getEntriesByType("navigation")[0];
-      this.recordMetric("TTFB", navEntry.responseStart - navEntry.requestStart);
+  // Record a metric that must only be reported once per page view
+  finalizeMetric(name, value, attribution) {
+    if (this.finalizedMetrics.has(name)) return;
+
+    this.finalizedMetrics.add(name);
+    this.recordMetric(name, value, attribution);
+
+    if (name === "LCP") {
+      this.finalLCP = { value, attribution };
+      this.checkLcpBudget();
     }
   }
 
+  // pagehide covers browsers that skip visibilitychange on unload
+  onHidden(callback) {
+    const handler = () => {
+      if (document.visibilityState === "hidden") {
+        callback();
+      }
+    };
+
+    document.addEventListener("visibilitychange", handler);
+    window.addEventListener("pagehide", callback);
+  }
+
+  // Where the page was in its load when something happened
+  getLoadState(timestamp) {
+    if (document.readyState === "loading") return "loading";
+
+    const navEntry = performance.getEntriesByType("navigation")[0];
+    if (!navEntry) return "complete";
+
+    if (timestamp < navEntry.domInteractive) return "loading";
+    if (timestamp < navEntry.domContentLoadedEventStart) {
+      return "dom-interactive";
+    }
+    if (!navEntry.loadEventStart || timestamp < navEntry.loadEventStart) {
+      return "dom-content-loaded";
+    }
+    return "complete";
+  }
+
+  // Short CSS selector such as "section#about > div.about__image > img"
+  getElementSelector(node, maxDepth = 4) {
+    const parts = [];
+
+    while (node && node.nodeType === 1 && parts.length < maxDepth) {
+      let part = node.tagName.toLowerCase();
+
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+
+      const classes = Array.from(node.classList).slice(0, 2);
+      if (classes.length > 0) {
+        part += `.${classes.join(".")}`;
+      }
+
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+
+    return parts.join(" > ") || "unknown";
+  }
+
   setupNavigationTiming() {
     window.addEventListener("load", () => {
       // Wait a bit for all metrics to be available
@@ -179,6 +432,385 @@ class PerformanceMonitor {
     });
   }
 
+  /**
+   * Resource budgets are checked a second after load and again when the page
+   * is hidden, so lazy images count too. Each budget is reported at most once
+   * per page view.
+   */
+  async setupPerformanceBudgets() {
+    this.budgetViolations = new Set();
+
+    try {
+      const response = await fetch(this.options.budgetUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.budgets = resolveBudgets(
+        await response.json(),
+        window.location.pathname
+      );
+    } catch (error) {
+      this.log("Failed to load performance budgets:", error);
+      return;
+    }
+
+    const checkResources = () => this.checkResourceBudgets();
+
+    if (document.readyState === "complete") {
+      setTimeout(checkResources, 1000);
+    } else {
+      window.addEventListener("load", () => setTimeout(checkResources, 1000));
+    }
+    this.onHidden(checkResources);
+
+    // LCP may have been final before the budgets arrived
+    this.checkLcpBudget();
+  }
+
+  checkResourceBudgets() {
+    const resources = performance.getEntriesByType("resource");
+    const scripts = resources.filter(
+      (entry) =>
+        entry.initiatorType === "script" ||
+        this.getResourceType(entry.name) === "js"
+    );
+    const images = resources.filter(
+      (entry) =>
+        entry.initiatorType === "img" ||
+        this.getResourceType(entry.name) === "image"
+    );
+    const thirdParty = resources.filter(
+      (entry) => new URL(entry.name).origin !== window.location.origin
+    );
+
+    this.checkBudget(
+      "scriptKB",
+      this.getTotalKB(scripts),
+      this.getLargestResources(scripts)
+    );
+    this.checkBudget(
+      "imageKB",
+      this.getTotalKB(images),
+      this.getLargestResources(images)
+    );
+    this.checkBudget(
+      "thirdPartyRequests",
+      thirdParty.length,
+      this.getRequestsByOrigin(thirdParty)
+    );
+  }
+
+  checkLcpBudget() {
+    if (!this.budgets || !this.finalLCP) return;
+
+    const { value, attribution } = this.finalLCP;
+    this.checkBudget("lcpMs", Math.round(value), [
+      { element: attribution.element, url: attribution.url },
+    ]);
+  }
+
+  checkBudget(name, actual, details = []) {
+    const limit = this.budgets[name];
+
+    if (limit === undefined || actual <= limit) return;
+    if (this.budgetViolations.has(name)) return;
+
+    this.budgetViolations.add(name);
+
+    if (this.options.debug) {
+      console.group(
+        `⚠️ Performance budget exceeded: ${name} is ${actual} (budget ${limit})`
+      );
+      console.table(details);
+      console.groupEnd();
+    }
+
+    this.recordMetric("BUDGET_VIOLATION", actual, {
+      budget: name,
+      limit,
+      page: window.location.pathname,
+      top: details.slice(0, 3),
+    });
+  }
+
+  // Compressed body size; cross-origin resources without
+  // Timing-Allow-Origin report 0
+  getTotalKB(entries) {
+    const bytes = entries.reduce(
+      (total, entry) => total + (entry.encodedBodySize || entry.transferSize),
+      0
+    );
+    return Math.round(bytes / 102.4) / 10;
+  }
+
+  getLargestResources(entries, limit = 5) {
+    return entries
+      .map((entry) => ({
+        url: entry.name,
+        kb:
+          Math.round((entry.encodedBodySize || entry.transferSize) / 102.4) /
+          10,
+      }))
+      .sort((a, b) => b.kb - a.kb)
+      .slice(0, limit);
+  }
+
+  getRequestsByOrigin(entries) {
+    const counts = new Map();
+
+    entries.forEach((entry) => {
+      const origin = new URL(entry.name).origin;
+      counts.set(origin, (counts.get(origin) || 0) + 1);
+    });
+
+    return Array.from(counts, ([origin, requests]) => ({
+      origin,
+      requests,
+    })).sort((a, b) => b.requests - a.requests);
+  }
+
+  /**
+   * Main-thread blocking. Long animation frames (LoAF) say which scripts ran
+   * during a slow frame, so where they're supported they drive the Total
+   * Blocking Time estimate and the source breakdown. `longtask` is observed
+   * alongside them for the long task count, and stands in for both in
+   * browsers without LoAF, though it can't name the script. TBT is estimated
+   * from FCP until the page is hidden, rather than until Time to Interactive.
+   */
+  setupLongTaskTiming() {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    const hasLongAnimationFrames = supported.includes("long-animation-frame");
+    this.blockingPeriods = [];
+    this.longTaskSources = new Map();
+    this.longTaskCount = 0;
+    this.observesLongTasks = supported.includes("longtask");
+
+    if (!hasLongAnimationFrames && !this.observesLongTasks) return;
+
+    if (hasLongAnimationFrames) {
+      this.observePerformanceEntry("long-animation-frame", (entries) => {
+        entries.forEach((entry) => this.recordLongAnimationFrame(entry));
+      });
+    }
+
+    if (this.observesLongTasks) {
+      this.observePerformanceEntry("longtask", (entries) => {
+        entries.forEach((entry) =>
+          this.recordLongTask(entry, !hasLongAnimationFrames)
+        );
+      });
+    }
+
+    this.onHidden(() => {
+      this.finalizeMetric("TBT", this.getTotalBlockingTime(), {
+        longTasks: this.getLongTaskCount(),
+        sources: this.getWorstLongTaskSources(),
+      });
+    });
+
+    if (this.options.longTaskOverlay) {
+      this.showLongTaskOverlay();
+    }
+  }
+
+  recordLongAnimationFrame(entry) {
+    const scripts = entry.scripts || [];
+
+    this.addBlockingTime(entry.startTime, entry.blockingDuration);
+
+    if (scripts.length === 0) {
+      // Rendering, or work the browser couldn't attribute to a script
+      this.addLongTaskSource("unattributed", entry.duration);
+      return;
+    }
+
+    scripts.forEach((script) => {
+      this.addLongTaskSource(
+        this.getScriptSource(script.sourceURL),
+        script.duration,
+        script.sourceFunctionName || script.invoker
+      );
+    });
+  }
+
+  // Only counted when LoAF already covers blocking time and sources
+  recordLongTask(entry, estimatesBlocking = true) {
+    const attribution = (entry.attribution || [])[0];
+
+    this.longTaskCount++;
+
+    if (!estimatesBlocking) {
+      this.scheduleLongTaskOverlayUpdate();
+      return;
+    }
+
+    this.addBlockingTime(
+      entry.startTime,
+      Math.max(0, entry.duration - BLOCKING_THRESHOLD)
+    );
+    this.addLongTaskSource(
+      attribution && attribution.containerSrc
+        ? this.getScriptSource(attribution.containerSrc)
+        : "unattributed",
+      entry.duration
+    );
+  }
+
+  addBlockingTime(startTime, blockingDuration) {
+    this.blockingPeriods.push({ startTime, blockingDuration });
+    this.scheduleLongTaskOverlayUpdate();
+  }
+
+  getLongTaskCount() {
+    return this.observesLongTasks
+      ? this.longTaskCount
+      : this.blockingPeriods.length;
+  }
+
+  // Blocking before first paint counts towards FCP, not TBT
+  getTotalBlockingTime() {
+    const start = this.fcpTime || 0;
+
+    return Math.round(
+      this.blockingPeriods
+        .filter((period) => period.startTime >= start)
+        .reduce((total, period) => total + period.blockingDuration, 0)
+    );
+  }
+
+  addLongTaskSource(source, duration, invoker) {
+    const stats = this.longTaskSources.get(source) || {
+      source,
+      count: 0,
+      duration: 0,
+      longest: 0,
+      invoker: null,
+    };
+
+    stats.count++;
+    stats.duration += duration;
+
+    // Name the caller of the single longest run, the one worth fixing first
+    if (duration > stats.longest) {
+      stats.longest = duration;
+      stats.invoker = invoker || null;
+    }
+    this.longTaskSources.set(source, stats);
+  }
+
+  // "scripts/main.js" for our own scripts, a vendor name or host otherwise
+  getScriptSource(sourceURL) {
+    if (!sourceURL) return "unattributed";
+
+    try {
+      const url = new URL(sourceURL, window.location.href);
+
+      if (url.origin === window.location.origin) {
+        return url.pathname.replace(/^\//, "") || "inline";
+      }
+
+      const vendor = Object.keys(THIRD_PARTY_SOURCES).find((name) =>
+        THIRD_PARTY_SOURCES[name].test(url.hostname)
+      );
+      return vendor || url.hostname;
+    } catch (error) {
+      return "unattributed";
+    }
+  }
+
+  getWorstLongTaskSources(limit = 5) {
+    return Array.from(this.longTaskSources.values())
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, limit)
+      .map((stats) => ({
+        ...stats,
+        duration: Math.round(stats.duration),
+        longest: Math.round(stats.longest),
+      }));
+  }
+
+  showLongTaskOverlay() {
+    const overlay = document.createElement("aside");
+    overlay.setAttribute("aria-label", "Main thread blocking");
+    overlay.style.cssText = `
+      position: fixed;
+      bottom: 1rem;
+      left: 1rem;
+      max-width: 22rem;
+      padding: 0.75rem 1rem;
+      background: rgba(17, 24, 39, 0.92);
+      color: #f9fafb;
+      font: 12px/1.5 ui-monospace, monospace;
+      border-radius: 8px;
+      z-index: 10000;
+    `;
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.textContent = "×";
+    close.setAttribute("aria-label", "Close main thread overlay");
+    close.style.cssText = `
+      float: right;
+      background: none;
+      border: none;
+      color: inherit;
+      font-size: 16px;
+      cursor: pointer;
+    `;
+    close.addEventListener("click", () => {
+      overlay.remove();
+      this.longTaskOverlay = null;
+    });
+
+    this.longTaskOverlayBody = document.createElement("div");
+    overlay.append(close, this.longTaskOverlayBody);
+    this.longTaskOverlay = overlay;
+
+    const mount = () => {
+      document.body.appendChild(overlay);
+      this.updateLongTaskOverlay();
+    };
+
+    if (document.body) {
+      mount();
+    } else {
+      document.addEventListener("DOMContentLoaded", mount);
+    }
+  }
+
+  // At most one redraw a second, so the overlay doesn't add to the problem
+  scheduleLongTaskOverlayUpdate() {
+    if (!this.longTaskOverlay || this.longTaskOverlayTimer) return;
+
+    this.longTaskOverlayTimer = setTimeout(() => {
+      this.longTaskOverlayTimer = null;
+      this.updateLongTaskOverlay();
+    }, 1000);
+  }
+
+  updateLongTaskOverlay() {
+    if (!this.longTaskOverlay) return;
+
+    const tbt = this.getTotalBlockingTime();
+    const lines = [
+      `TBT ≈ ${tbt}ms · ${this.getLongTaskCount()} long tasks`,
+      ...this.getWorstLongTaskSources().map(
+        ({ source, count, duration, invoker }) =>
+          `${duration >= 200 ? "🔴" : "🟡"} ${source} ${duration}ms ×${count}${
+            invoker ? ` (${invoker})` : ""
+          }`
+      ),
+    ];
+
+    this.longTaskOverlayBody.replaceChildren(
+      ...lines.map((line) => {
+        const row = document.createElement("div");
+        row.textContent = line;
+        return row;
+      })
+    );
+  }
+
   setupCustomMetrics() {
     // Track image loading performance
     this.trackImageLoading();
@@ -276,16 +908,19 @@ class PerformanceMonitor {
     });
   }
 
-  observePerformanceEntry(entryType, callback) {
+  observePerformanceEntry(entryType, callback, options = {}) {
     try {
       const observer = new PerformanceObserver((list) => {
         callback(list.getEntries());
       });
 
-      observer.observe({ entryTypes: [entryType] });
+      // Buffered entries cover anything that happened before this script ran
+      observer.observe({ type: entryType, buffered: true, ...options });
       this.observers.push(observer);
+      return observer;
     } catch (error) {
       this.log(`Failed to observe ${entryType}:`, error);
+      return null;
     }
   }
 
@@ -305,7 +940,7 @@ class PerformanceMonitor {
     this.log(`Metric recorded: ${name} = ${value}`, metadata);
 
     // Trigger immediate reporting for critical metrics
-    if (["LCP", "FID", "CLS"].includes(name)) {
+    if (["LCP", "INP", "CLS", "BUDGET_VIOLATION"].includes(name)) {
       this.reportMetric(metric);
     }
   }
@@ -324,6 +959,9 @@ class PerformanceMonitor {
   }
 
   getResourceType(url) {
+    // Fingerprinted assets end in ?v=<hash>, so only the path is checked
+    url = new URL(url, window.location.href).pathname;
+
     if (url.match(/\.(css)$/)) return "css";
     if (url.match(/\.(js)$/)) return "js";
     if (url.match(/\.(jpg|jpeg|png|webp|svg|gif)$/)) return "image";
@@ -360,7 +998,10 @@ class PerformanceMonitor {
     if (typeof gtag !== "undefined") {
       gtag("event", "performance_metric", {
         metric_name: metric.name,
-        metric_value: Math.round(metric.value),
+        // Analytics values are integers, so CLS is sent multiplied by 1000
+        metric_value: Math.round(
+          metric.name === "CLS" ? metric.value * 1000 : metric.value
+        ),
         custom_parameter_1: JSON.stringify(metric.metadata),
       });
     }
@@ -386,7 +1027,7 @@ class PerformanceMonitor {
 
       gtag("event", "performance_summary", {
         lcp: summary.LCP,
-        fid: summary.FID,
+        inp: summary.INP,
         cls: summary.CLS,
         fcp: summary.FCP,
         ttfb: summary.TTFB,
@@ -431,12 +1072,14 @@ class PerformanceMonitor {
     const summary = {};
 
     // Get the latest value for each metric type
-    const metricTypes = ["LCP", "FID", "CLS", "FCP", "TTFB"];
+    const metricTypes = ["LCP", "INP", "CLS", "FCP", "TTFB"];
 
     metricTypes.forEach((type) => {
       const typeMetrics = metrics.filter((m) => m.name === type);
       if (typeMetrics.length > 0) {
-        summary[type] = Math.round(typeMetrics[typeMetrics.length - 1].value);
+        const value = typeMetrics[typeMetrics.length - 1].value;
+        summary[type] =
+          type === "CLS" ? Number(value.toFixed(3)) : Math.round(value);
       }
     });
 
@@ -486,7 +1129,7 @@ class PerformanceMonitor {
     const metrics = this.getMetrics();
     return {
       LCP: metrics.find((m) => m.name === "LCP")?.value,
-      FID: metrics.find((m) => m.name === "FID")?.value,
+      INP: metrics.find((m) => m.name === "INP")?.value,
       CLS: metrics.find((m) => m.name === "CLS")?.value,
       FCP: metrics.find((m) => m.name === "FCP")?.value,
       TTFB: metrics.find((m) => m.name === "TTFB")?.value,
@@ -512,12 +1155,22 @@ class PerformanceMonitor {
 }
 
 // Initialize performance monitoring
-window.performanceMonitor = new PerformanceMonitor({
-  debug: window.location.hostname === "localhost",
-  sampleRate: 1.0, // Monitor 100% of sessions in development
-});
+// Locally, beacons go to scripts/server/metricsCollector.js
+if (typeof window !== "undefined") {
+  window.performanceMonitor = new PerformanceMonitor({
+    debug: window.location.hostname === "localhost",
+    sampleRate: 1.0, // Monitor 100% of sessions in development
+    reportingEndpoint:
+      window.location.hostname === "localhost"
+        ? "http://localhost:8788/api/metrics"
+        : null,
+  });
+}
 
-// Export for module usage
+// Export for module usage; scripts/build/checkBudgets.js shares the budget
+// matching
 if (typeof module !== "undefined" && module.exports) {
   module.exports = PerformanceMonitor;
+  module.exports.matchesBudgetPath = matchesBudgetPath;
+  module.exports.resolveBudgets = resolveBudgets;
 }
@@ -3,16 +3,36 @@
  *
  * Handles PWA features including:
  * - Service worker registration
- * - Install prompt management
+ * - Install prompt management (InstallCoach covers browsers without one)
  * - Offline status detection
- * - Background sync for forms
+ * - Background sync for submissions formSubmitter queues in the IndexedDB outbox
+ * - Periodic content refresh while installed
+ * - Update prompts and typed messaging with the service worker
+ * - Web Push opt-in with per-topic preferences
+ * - Scrolling to the section a clicked notification points at
  */
 
+// Message types understood by sw.js (see MESSAGE_HANDLERS there)
+const SW_MESSAGES = Object.freeze({
+  GET_VERSION: "GET_VERSION",
+  SKIP_WAITING: "SKIP_WAITING",
+  CLEAR_CACHES: "CLEAR_CACHES",
+  CACHE_STATUS: "CACHE_STATUS",
+  GET_CACHED_PAGES: "GET_CACHED_PAGES",
+  SET_LITE_MODE: "SET_LITE_MODE",
+});
+
+// Periodic sync tag handled by sw.js, and how often to refresh at most
+const CONTENT_REFRESH_TAG = "content-refresh";
+const CONTENT_REFRESH_INTERVAL = 12 * 60 * 60 * 1000;
+
 class PWAManager {
   constructor() {
     this.isOnline = navigator.onLine;
     this.installPrompt = null;
     this.serviceWorker = null;
+    this.updateAccepted = false;
+    this.lastUpdateCheck = Date.now();
 
     this.init();
   }
@@ -30,8 +50,20 @@ class PWAManager {
     // Setup background sync
     this.setupBackgroundSync();
 
+    // Keep cached content fresh for installed visitors
+    this.setupPeriodicSync();
+
+    // Share lite mode with the service worker
+    this.setupLiteModeSync();
+
     // Setup update notifications
     this.setupUpdateNotifications();
+
+    // Setup push notification opt-in
+    this.setupPushNotifications();
+
+    // Follow notification clicks routed to this window
+    this.setupNotificationRouting();
   }
 
   async registerServiceWorker() {
@@ -49,6 +81,11 @@ class PWAManager {
 
       console.log("✅ Service Worker registered successfully");
 
+      // An update may have installed while no page was open
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.showUpdateNotification(registration.waiting);
+      }
+
       // Handle updates
       registration.addEventListener("updatefound", () => {
         const newWorker = registration.installing;
@@ -58,7 +95,7 @@ class PWAManager {
             newWorker.state === "installed" &&
             navigator.serviceWorker.controller
           ) {
-            this.showUpdateNotification();
+            this.showUpdateNotification(newWorker);
           }
         });
       });
@@ -93,8 +130,14 @@ class PWAManager {
     });
   }
 
-  async showInstallPrompt() {
+  async showInstallPrompt({ source = "install_button" } = {}) {
     if (!this.installPrompt) {
+      // Browsers without a native prompt get step-by-step instructions
+      if (window.installCoach && window.installCoach.hasInstructions()) {
+        window.installCoach.open({ source });
+        return false;
+      }
+
       console.log("Install prompt not available");
       return false;
     }
@@ -106,7 +149,10 @@ class PWAManager {
       console.log("Install prompt result:", result.outcome);
 
       // Track user choice
-      this.trackEvent("pwa_install_prompt", { outcome: result.outcome });
+      this.trackEvent("pwa_install_prompt", {
+        outcome: result.outcome,
+        source,
+      });
 
       // Clear the prompt
       this.installPrompt = null;
@@ -231,117 +277,676 @@ class PWAManager {
   }
 
   setupBackgroundSync() {
-    if (
-      !("serviceWorker" in navigator) ||
-      !("sync" in window.ServiceWorkerRegistration.prototype)
-    ) {
-      console.log("Background Sync not supported");
+    this.outbox = window.formOutbox;
+
+    if (!this.outbox || !this.outbox.isSupported()) {
+      console.log("Form outbox not supported");
       return;
     }
 
-    // Handle form submissions with background sync
-    document.addEventListener("submit", (event) => {
-      const form = event.target;
+    this.supportsBackgroundSync =
+      "serviceWorker" in navigator &&
+      "sync" in window.ServiceWorkerRegistration.prototype;
 
-      if (form.classList.contains("contact-form") && !this.isOnline) {
-        event.preventDefault();
-        this.queueFormSubmission(form);
-      }
+    // Refresh listeners when the service worker delivers queued messages
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", (event) => {
+        if (event.data && event.data.type === "OUTBOX_UPDATED") {
+          this.handleOutboxUpdate(event.data.summary);
+        }
+      });
+    }
+
+    // Deliver anything still queued once the connection returns
+    window.addEventListener("online", () => {
+      this.flushQueuedSubmissions();
     });
+
+    // Move anything queued by older versions out of localStorage first
+    this.migrateLegacySubmissions().then(() => {
+      this.flushQueuedSubmissions();
+    });
+  }
+
+  // The worker skips image pre-caching while lite mode is on
+  setupLiteModeSync() {
+    if (!window.liteMode) return;
+
+    const sync = (enabled) =>
+      this.sendMessage(SW_MESSAGES.SET_LITE_MODE, { enabled }).catch((error) =>
+        console.warn("Could not share lite mode:", error.message)
+      );
+
+    sync(window.liteMode.isEnabled());
+    window.addEventListener("liteModeChange", (event) =>
+      sync(event.detail.enabled)
+    );
   }
 
-  async queueFormSubmission(form) {
-    if (!this.serviceWorker) return;
+  /**
+   * Register the service worker's periodic content refresh. Only installed
+   * apps get it, and it's dropped again when the visitor turns on Save-Data.
+   */
+  async setupPeriodicSync() {
+    const registration = this.serviceWorker;
+
+    if (!registration || !("periodicSync" in registration)) {
+      return;
+    }
 
     try {
-      const formData = new FormData(form);
-      const data = Object.fromEntries(formData.entries());
+      const connection = window.performanceMonitor
+        ? window.performanceMonitor.getConnectionInfo()
+        : navigator.connection;
 
-      // Store form data for background sync
-      await this.storeFormSubmission(data);
+      if (!this.isInstalled() || (connection && connection.saveData)) {
+        await registration.periodicSync.unregister(CONTENT_REFRESH_TAG);
+        return;
+      }
+
+      // Browsers grant this based on how much the installed app is used
+      const status = await navigator.permissions.query({
+        name: "periodic-background-sync",
+      });
+      if (status.state !== "granted") return;
+
+      await registration.periodicSync.register(CONTENT_REFRESH_TAG, {
+        minInterval: CONTENT_REFRESH_INTERVAL,
+      });
+
+      console.log("🔄 Periodic content refresh registered");
+    } catch (error) {
+      console.warn("Periodic sync not available:", error.message);
+    }
+  }
+
+  async migrateLegacySubmissions() {
+    let legacy;
+
+    try {
+      legacy = JSON.parse(localStorage.getItem("pendingSubmissions") || "[]");
+    } catch (error) {
+      legacy = [];
+    }
 
-      // Register background sync
+    if (legacy.length === 0) return;
+
+    try {
+      // The old queue only ever held the contact form, which Netlify
+      // expects URL-encoded at "/" with its form-name
+      for (const submission of legacy) {
+        await this.outbox.add(
+          { "form-name": "contact", ...submission.data },
+          { url: "/", encoding: "urlencoded" }
+        );
+      }
+      localStorage.removeItem("pendingSubmissions");
+      console.log(`📤 Migrated ${legacy.length} queued form submission(s)`);
+    } catch (error) {
+      console.error("Failed to migrate queued form submissions:", error);
+    }
+  }
+
+  async requestSync() {
+    if (this.supportsBackgroundSync && this.serviceWorker) {
       await this.serviceWorker.sync.register("contact-form");
+    }
+  }
 
-      // Show queued message
-      this.showFormMessage(
-        form,
-        "Message queued. Will be sent when you're back online.",
-        "info"
-      );
+  async flushQueuedSubmissions() {
+    if (!this.outbox || !this.isOnline) return null;
 
-      console.log("📤 Form submission queued for background sync");
+    // Let the service worker deliver the queue when it can
+    if (this.supportsBackgroundSync && this.serviceWorker) {
+      const due = await this.outbox.getDue();
+      if (due.length > 0) {
+        await this.requestSync();
+      }
+      return null;
+    }
+
+    try {
+      const summary = await this.outbox.flush();
+      this.handleOutboxUpdate(summary);
+      return summary;
     } catch (error) {
-      console.error("Failed to queue form submission:", error);
+      console.error("Failed to send queued form submissions:", error);
+      return null;
     }
   }
 
-  async storeFormSubmission(data) {
-    // In a real implementation, this would use IndexedDB
-    const submissions = JSON.parse(
-      localStorage.getItem("pendingSubmissions") || "[]"
-    );
-    submissions.push({
-      id: Date.now(),
-      data: data,
-      timestamp: new Date().toISOString(),
+  handleOutboxUpdate(summary) {
+    if (summary && summary.sent.length > 0) {
+      this.trackEvent("pwa_outbox_sent", { count: summary.sent.length });
+    }
+
+    window.dispatchEvent(new CustomEvent("outboxupdate", { detail: summary }));
+  }
+
+  // Outbox API for pages that want to show queued messages
+
+  async getQueuedSubmissions() {
+    if (!this.outbox) return [];
+    return this.outbox.getAll();
+  }
+
+  async retryQueuedSubmission(id) {
+    if (!this.outbox) return null;
+
+    const entry = await this.outbox.retry(id);
+    if (entry) {
+      this.handleOutboxUpdate(null);
+      await this.flushQueuedSubmissions();
+    }
+
+    return entry;
+  }
+
+  async discardQueuedSubmission(id) {
+    if (!this.outbox) return;
+
+    await this.outbox.remove(id);
+    this.handleOutboxUpdate(null);
+  }
+
+  /**
+   * Send a typed message (see SW_MESSAGES) and resolve with the reply's
+   * payload. Goes to the controlling worker unless another one is given.
+   */
+  async sendMessage(type, options = {}, { worker, timeout = 5000 } = {}) {
+    if (!("serviceWorker" in navigator)) return null;
+
+    const target =
+      worker ||
+      navigator.serviceWorker.controller ||
+      (this.serviceWorker && this.serviceWorker.active);
+    if (!target) return null;
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(
+        () => reject(new Error(`${type} request timed out`)),
+        timeout
+      );
+
+      channel.port1.onmessage = ({ data }) => {
+        clearTimeout(timer);
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve(data.payload);
+        }
+      };
+
+      target.postMessage({ ...options, type }, [channel.port2]);
     });
-    localStorage.setItem("pendingSubmissions", JSON.stringify(submissions));
+  }
+
+  getVersion(worker) {
+    return this.sendMessage(SW_MESSAGES.GET_VERSION, {}, { worker });
+  }
+
+  // Worker version plus entry counts and sizes per cache
+  getCacheStatus() {
+    return this.sendMessage(SW_MESSAGES.CACHE_STATUS);
+  }
+
+  // Drop runtime caches; pass true to drop the precache as well
+  clearCaches(includePrecache = false) {
+    return this.sendMessage(SW_MESSAGES.CLEAR_CACHES, { includePrecache });
+  }
+
+  // Pages the service worker can serve offline, as [{ url, title }]
+  async getCachedPages() {
+    const payload = await this.sendMessage(SW_MESSAGES.GET_CACHED_PAGES);
+    return payload ? payload.pages : [];
+  }
+
+  // Whether a same-origin page can be shown without the network
+  async isPageAvailableOffline(url) {
+    const { pathname } = new URL(url, window.location.href);
+    const path =
+      pathname === "/index.html" ? "/" : pathname.replace(/(.)\/$/, "$1");
+
+    const pages = await this.getCachedPages();
+    return pages.some((page) => page.url === path);
   }
 
   setupUpdateNotifications() {
-    // Check for updates periodically
-    if (this.serviceWorker) {
-      setInterval(() => {
-        this.serviceWorker.update();
-      }, 60000); // Check every minute
-    }
+    if (!("serviceWorker" in navigator)) return;
+
+    // Reload once the accepted update takes control. The first install also
+    // claims the page, which must not trigger a reload.
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (!this.updateAccepted) return;
+
+      this.updateAccepted = false;
+      window.location.reload();
+    });
+
+    // Browsers check for updates on navigation; long-lived tabs check again
+    // when brought back to the foreground, at most once an hour
+    document.addEventListener("visibilitychange", () => {
+      if (
+        document.visibilityState !== "visible" ||
+        !this.serviceWorker ||
+        Date.now() - this.lastUpdateCheck < 60 * 60 * 1000
+      ) {
+        return;
+      }
+
+      this.lastUpdateCheck = Date.now();
+      this.serviceWorker.update().catch(() => {});
+    });
   }
 
-  showUpdateNotification() {
+  async showUpdateNotification(worker) {
+    if (document.querySelector(".update-notification")) return;
+
+    let release = null;
+    try {
+      release = await this.getVersion(worker);
+    } catch (error) {
+      console.warn("Could not read the new version:", error.message);
+    }
+
     // Create update notification
     const notification = document.createElement("div");
     notification.className = "update-notification";
+    notification.setAttribute("role", "status");
     notification.innerHTML = `
       <div class="update-notification__content">
         <div class="update-notification__text">
-          <strong>Update Available</strong>
+          <strong></strong>
           <p>A new version of the app is available.</p>
+          <ul class="update-notification__changelog"></ul>
         </div>
         <div class="update-notification__actions">
-          <button class="btn btn--sm btn--outline" onclick="this.parentElement.parentElement.parentElement.remove()">
+          <button type="button" class="btn btn--sm btn--outline" data-action="later">
             Later
           </button>
-          <button class="btn btn--sm btn--primary" onclick="window.location.reload()">
+          <button type="button" class="btn btn--sm btn--primary" data-action="update">
             Update
           </button>
         </div>
       </div>
     `;
 
-    document.body.appendChild(notification);
+    notification.querySelector("strong").textContent =
+      release && release.version
+        ? `Update Available (v${release.version})`
+        : "Update Available";
 
-    // Auto-remove after 10 seconds if no action
-    setTimeout(() => {
-      if (notification.parentNode) {
+    const changelog = notification.querySelector(
+      ".update-notification__changelog"
+    );
+    const changes = (release && release.changelog) || [];
+    changes.forEach((change) => {
+      const item = document.createElement("li");
+      item.textContent = change;
+      changelog.appendChild(item);
+    });
+    changelog.hidden = changes.length === 0;
+
+    notification
+      .querySelector('[data-action="later"]')
+      .addEventListener("click", () => {
         notification.remove();
+        this.trackEvent("pwa_update_dismissed", {
+          version: release && release.version,
+        });
+      });
+
+    notification
+      .querySelector('[data-action="update"]')
+      .addEventListener("click", (event) => {
+        event.currentTarget.disabled = true;
+        event.currentTarget.textContent = "Updating...";
+        this.applyUpdate(worker, release);
+      });
+
+    document.body.appendChild(notification);
+  }
+
+  // Activate the waiting worker; controllerchange then reloads the page
+  applyUpdate(worker, release = null) {
+    const waiting =
+      worker || (this.serviceWorker && this.serviceWorker.waiting);
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.updateAccepted = true;
+    this.trackEvent("pwa_update_accepted", {
+      version: release && release.version,
+    });
+
+    // The worker activates before it could reply, so don't wait for one
+    waiting.postMessage({ type: SW_MESSAGES.SKIP_WAITING });
+  }
+
+  isPushSupported() {
+    return (
+      "serviceWorker" in navigator &&
+      "PushManager" in window &&
+      "Notification" in window
+    );
+  }
+
+  async setupPushNotifications() {
+    this.pushContainer = document.querySelector("[data-push-optin]");
+
+    if (!this.pushContainer || !this.serviceWorker || !this.isPushSupported()) {
+      return;
+    }
+
+    try {
+      const response = await fetch("/data/push.json");
+      this.pushConfig = response.ok ? await response.json() : null;
+    } catch (error) {
+      this.pushConfig = null;
+    }
+
+    // Push stays hidden until a VAPID key is configured in data/push.json
+    if (!this.pushConfig || !this.pushConfig.vapidPublicKey) {
+      return;
+    }
+
+    this.renderPushOptIn();
+    await this.refreshPushState();
+  }
+
+  renderPushOptIn() {
+    const container = this.pushContainer;
+    const selected = this.getPushTopics();
+
+    container.innerHTML = `
+      <h4 class="footer__heading" id="push-optin-title">Notifications</h4>
+      <p class="push-optin__intro">
+        Choose what you'd like to hear about. You can change this at any time.
+      </p>
+      <fieldset class="push-optin__topics">
+        <legend class="sr-only">Notification topics</legend>
+      </fieldset>
+      <div class="push-optin__actions">
+        <button type="button" class="btn btn--sm btn--primary" data-push-action="subscribe">
+          Turn on notifications
+        </button>
+        <button type="button" class="btn btn--sm btn--outline" data-push-action="unsubscribe" hidden>
+          Turn off
+        </button>
+      </div>
+      <p class="push-optin__status" role="status" aria-live="polite"></p>
+    `;
+
+    const fieldset = container.querySelector(".push-optin__topics");
+    this.pushConfig.topics.forEach((topic) => {
+      const label = document.createElement("label");
+      label.className = "push-optin__topic";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "push-topic";
+      checkbox.value = topic.id;
+      checkbox.checked = selected.includes(topic.id);
+
+      const text = document.createElement("span");
+      text.className = "push-optin__topic-label";
+      text.textContent = topic.label;
+
+      label.append(checkbox, text);
+
+      if (topic.description) {
+        const description = document.createElement("small");
+        description.className = "push-optin__topic-description";
+        description.textContent = topic.description;
+        label.appendChild(description);
+      }
+
+      fieldset.appendChild(label);
+    });
+
+    // Changing topics while subscribed updates the server straight away
+    fieldset.addEventListener("change", async () => {
+      const subscription = await this.getPushSubscription();
+      if (subscription) {
+        this.updatePushTopics(this.getSelectedPushTopics());
+      }
+    });
+
+    container
+      .querySelector('[data-push-action="subscribe"]')
+      .addEventListener("click", () => this.subscribeToPush());
+
+    container
+      .querySelector('[data-push-action="unsubscribe"]')
+      .addEventListener("click", () => this.unsubscribeFromPush());
+
+    container.hidden = false;
+  }
+
+  getPushTopics() {
+    try {
+      const stored = JSON.parse(localStorage.getItem("pushTopics"));
+      if (Array.isArray(stored)) return stored;
+    } catch (error) {
+      // Fall back to the configured defaults
+    }
+
+    return this.pushConfig.topics
+      .filter((topic) => topic.default)
+      .map((topic) => topic.id);
+  }
+
+  getSelectedPushTopics() {
+    return Array.from(
+      this.pushContainer.querySelectorAll('input[name="push-topic"]:checked')
+    ).map((checkbox) => checkbox.value);
+  }
+
+  // The active registration: pushManager.subscribe() rejects on one whose
+  // worker is still installing
+  async getPushSubscription() {
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  }
+
+  async refreshPushState(message = "") {
+    if (!this.pushContainer) return;
+
+    const subscription = await this.getPushSubscription();
+    const denied = Notification.permission === "denied";
+
+    const subscribeButton = this.pushContainer.querySelector(
+      '[data-push-action="subscribe"]'
+    );
+    const unsubscribeButton = this.pushContainer.querySelector(
+      '[data-push-action="unsubscribe"]'
+    );
+
+    subscribeButton.hidden = Boolean(subscription);
+    subscribeButton.disabled = denied;
+    unsubscribeButton.hidden = !subscription;
+
+    let status = message;
+    if (!status && denied) {
+      status = "Notifications are blocked in your browser settings.";
+    } else if (!status && subscription) {
+      status = "Notifications are on.";
+    }
+
+    this.pushContainer.querySelector(".push-optin__status").textContent =
+      status;
+  }
+
+  async subscribeToPush(topics = this.getSelectedPushTopics()) {
+    if (topics.length === 0) {
+      await this.refreshPushState("Choose at least one topic.");
+      return null;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      this.trackEvent("pwa_push_permission", { permission });
+      await this.refreshPushState();
+      return null;
+    }
+
+    let subscription = null;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      subscription =
+        (await registration.pushManager.getSubscription()) ||
+        (await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: this.urlBase64ToUint8Array(
+            this.pushConfig.vapidPublicKey
+          ),
+        }));
+
+      await this.sendPushSubscription("POST", {
+        subscription: subscription.toJSON(),
+        topics,
+      });
+
+      localStorage.setItem("pushTopics", JSON.stringify(topics));
+      this.trackEvent("pwa_push_subscribed", { topics });
+      await this.refreshPushState("Notifications are on.");
+
+      return subscription;
+    } catch (error) {
+      console.error("❌ Push subscription failed:", error);
+
+      // Don't leave a browser subscription the server doesn't know about
+      if (subscription) {
+        await subscription.unsubscribe().catch(() => {});
       }
-    }, 10000);
+
+      await this.refreshPushState(
+        "Notifications couldn't be turned on. Please try again later."
+      );
+      return null;
+    }
   }
 
-  showFormMessage(form, message, type = "info") {
-    const messageElement = document.createElement("div");
-    messageElement.className = `form__message form__message--${type}`;
-    messageElement.textContent = message;
-    messageElement.setAttribute("role", "alert");
+  async updatePushTopics(topics) {
+    if (topics.length === 0) {
+      return this.unsubscribeFromPush();
+    }
+
+    const subscription = await this.getPushSubscription();
+    if (!subscription) return;
+
+    try {
+      await this.sendPushSubscription("POST", {
+        subscription: subscription.toJSON(),
+        topics,
+      });
+
+      localStorage.setItem("pushTopics", JSON.stringify(topics));
+      this.trackEvent("pwa_push_topics_updated", { topics });
+      await this.refreshPushState("Notification preferences saved.");
+    } catch (error) {
+      console.error("❌ Updating push topics failed:", error);
+      await this.refreshPushState(
+        "Preferences couldn't be saved. Please try again later."
+      );
+    }
+  }
 
-    form.insertBefore(messageElement, form.firstChild);
+  async unsubscribeFromPush() {
+    const subscription = await this.getPushSubscription();
+    if (!subscription) return;
 
-    setTimeout(() => {
-      if (messageElement.parentNode) {
-        messageElement.remove();
+    try {
+      await this.sendPushSubscription("DELETE", {
+        endpoint: subscription.endpoint,
+      });
+    } catch (error) {
+      // The server drops subscriptions that stop accepting pushes anyway
+      console.warn("Could not remove push subscription on the server:", error);
+    }
+
+    await subscription.unsubscribe();
+    this.trackEvent("pwa_push_unsubscribed");
+    await this.refreshPushState("Notifications are off.");
+  }
+
+  async sendPushSubscription(method, body) {
+    const response = await fetch(this.pushConfig.subscriptionsUrl, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  setupNotificationRouting() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data && event.data.type === "NOTIFICATION_CLICK") {
+        this.handleNotificationClick(event.data);
+      }
+    });
+  }
+
+  // sw.js focused this window because it already shows the target page
+  handleNotificationClick({ action, topic, hash }) {
+    this.trackEvent("pwa_notification_click", { action, topic });
+
+    // An id, not a selector: ids may start with a digit or need escaping
+    const target =
+      hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+    if (!target) return;
+
+    const header = document.querySelector(".header");
+    const offset = (header ? header.offsetHeight : 0) + 20;
+
+    window.scrollTo({
+      top: target.getBoundingClientRect().top + window.pageYOffset - offset,
+      behavior: "smooth",
+    });
+    history.replaceState(history.state, "", hash);
+
+    // Move focus without cutting the smooth scroll short
+    if (!target.hasAttribute("tabindex")) {
+      target.setAttribute("tabindex", "-1");
+      target.addEventListener(
+        "blur",
+        () => target.removeAttribute("tabindex"),
+        {
+          once: true,
+        }
+      );
+    }
+    target.focus({ preventScroll: true });
+
+    if (window.accessibilityManager) {
+      const title =
+        target.querySelector("h1, h2, h3")?.textContent ||
+        target.getAttribute("aria-label");
+      if (title) {
+        window.accessibilityManager.announce(`Navigated to ${title} section`);
       }
-    }, 5000);
+    }
+  }
+
+  // VAPID keys are URL-safe base64; pushManager.subscribe() wants bytes
+  urlBase64ToUint8Array(base64String) {
+    const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding)
+      .replace(/-/g, "+")
+      .replace(/_/g, "/");
+    const raw = window.atob(base64);
+
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
   }
 
   trackEvent(eventName, data = {}) {
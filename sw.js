@@ -3,47 +3,243 @@
  *
  * Provides offline functionality and performance optimizations:
  * - Caches critical resources for offline access
- * - Implements cache-first strategy for static assets
- * - Network-first strategy for dynamic content
+ * - Declarative route table mapping requests to caching strategies
  * - Background sync for form submissions
+ * - Periodic refresh of key content for installed visitors
  */
 
-const CACHE_NAME = "portfolio-v1.1.0";
-const STATIC_CACHE = "portfolio-static-v1.1.0";
-const DYNAMIC_CACHE = "portfolio-dynamic-v1.1.0";
-const IMAGE_CACHE = "portfolio-images-v1.1.0";
+// IndexedDB store the outbox and cache expiration are built on
+importScripts("/scripts/utils/idbStore.js?v=3de81a4eb1");
 
-// Cache size limits
-const MAX_IMAGE_CACHE_SIZE = 50; // Maximum number of images to cache
-const MAX_DYNAMIC_CACHE_SIZE = 30; // Maximum number of dynamic pages to cache
+// Shared IndexedDB outbox for queued form submissions
+importScripts("/scripts/utils/formOutbox.js?v=710a1b309f");
+
+// Insert/access bookkeeping for LRU and max-age cache expiration
+importScripts("/scripts/utils/cacheExpiration.js?v=b8b6c2ac25");
+
+// Release shown in the page's update notification
+const SW_VERSION = "1.5.0";
+const CHANGELOG = [
+  "Lite mode keeps the site fast on slow connections",
+  "The installed app keeps testimonials and content up to date",
+  "Notification buttons take you straight to the right section",
+  "Messages sent while offline are delivered when you reconnect",
+  "Case studies and visited pages are available offline",
+  "Images are sized for your screen and load faster",
+];
+
+// Precache list and cache version are generated from the site's content by
+// scripts/build/generatePrecacheManifest.js (the Netlify build command).
+// precache-manifest:start
+const CACHE_VERSION = "7508976857";
 
 // Resources to cache immediately on install
-const STATIC_ASSETS = [
+const PRECACHE_URLS = [
   "/",
   "/index.html",
+  "/offline.html",
   "/project-detail.html",
-  "/styles/main.css",
-  "/scripts/main.js",
-  "/scripts/utils/imageOptimization.js",
-  "/scripts/utils/imageManifest.js",
-  "/scripts/components/lightbox.js",
-  "/scripts/components/pageTransitions.js",
+  "/thank-you.html",
+  "/scripts/components/installCoach.js?v=7ba8b4dced",
+  "/scripts/components/lightbox.js?v=a426e458e1",
+  "/scripts/components/offlinePage.js?v=7bc4c20ef3",
+  "/scripts/components/pageTransitions.js?v=9fc1e6224f",
+  "/scripts/components/projectDetail.js?v=4c610651a1",
+  "/scripts/main.js?v=81923b8952",
+  "/scripts/utils/accessibility.js?v=fa2f21f9a3",
+  "/scripts/utils/cacheExpiration.js?v=b8b6c2ac25",
+  "/scripts/utils/formOutbox.js?v=710a1b309f",
+  "/scripts/utils/formSubmission.js?v=9ac9d22b52",
+  "/scripts/utils/formValidation.js?v=1d80577caa",
+  "/scripts/utils/idbStore.js?v=3de81a4eb1",
+  "/scripts/utils/imageManifest.js?v=1f52c745ea",
+  "/scripts/utils/imageOptimization.js?v=0019095250",
+  "/scripts/utils/liteMode.js?v=63ded9f6e7",
+  "/scripts/utils/performance.js?v=7a92c2e119",
+  "/scripts/utils/polyfills.js?v=1aa93049b6",
+  "/scripts/utils/pwa.js?v=e4c4a18bde",
+  "/styles/base/base.css?v=889ac4b5b5",
+  "/styles/base/reset.css?v=217425bbfa",
+  "/styles/base/variables.css?v=a310035431",
+  "/styles/components/about.css?v=f3ed4951fe",
+  "/styles/components/buttons.css?v=28e91db6c6",
+  "/styles/components/cards.css?v=250a82b1c2",
+  "/styles/components/contact.css?v=1041334484",
+  "/styles/components/footer.css?v=59ce8478f0",
+  "/styles/components/forms.css?v=a1e5d34538",
+  "/styles/components/hero.css?v=8abafb8edd",
+  "/styles/components/navigation.css?v=02ad25e7c6",
+  "/styles/components/project-detail.css?v=1d4d1c3439",
+  "/styles/components/pwa.css?v=13d5a5b4d4",
+  "/styles/components/sections.css?v=a4fca70dd9",
+  "/styles/components/testimonials.css?v=e6da4cb6ca",
+  "/styles/components/trustpilot.css?v=55a5c3ed17",
+  "/styles/main.css?v=4d8966ccdc",
+  "/styles/utilities/accessibility.css?v=cf7b21993c",
+  "/styles/utilities/browser-compatibility.css?v=88b9719120",
+  "/styles/utilities/display.css?v=81fe5d5aaa",
+  "/styles/utilities/images.css?v=bf7bb9744e",
+  "/styles/utilities/layout.css?v=56d58c0048",
+  "/styles/utilities/spacing.css?v=e9eb0d7b71",
+  "/styles/utilities/typography.css?v=726303cece",
   "/manifest.json",
+  "/data/testimonials.json",
+  "/data/projects.json",
 ];
 
-// Critical images to cache
+// Critical images to cache (hero and about photos)
 const CRITICAL_IMAGES = [
-  "/assets/images/project-1-medium.webp",
-  "/assets/images/project-1-medium.jpg",
-  "/assets/images/project-2-medium.webp",
-  "/assets/images/project-2-medium.jpg",
-  "/assets/images/project-3-medium.webp",
-  "/assets/images/project-3-medium.jpg",
+  "/assets/images/project-3.jpg",
+  "/assets/images/project-1.jpg",
 ];
+// precache-manifest:end
+
+// Runtime caches are versioned with the precache too, so a deploy's activate
+// step drops entries cached against the previous build
+const STATIC_CACHE = `portfolio-static-${CACHE_VERSION}`;
+const DYNAMIC_CACHE = `portfolio-dynamic-${CACHE_VERSION}`;
+const IMAGE_CACHE = `portfolio-images-${CACHE_VERSION}`;
+const DATA_CACHE = `portfolio-data-${CACHE_VERSION}`;
+const FONT_CACHE = `portfolio-fonts-${CACHE_VERSION}`;
+
+// Generated by scripts/build/generateImageManifest.js; may be absent
+const IMAGE_MANIFEST_URL = "/assets/images/image-manifest.json";
 
 // Network timeout for cache fallback
 const NETWORK_TIMEOUT = 3000;
 
+// Precached page shown for pages that aren't available offline
+const OFFLINE_PAGE = "/offline.html";
+
+// Case-study routes render client-side from the precached template
+const PROJECT_ROUTE = /^\/projects\/[a-z0-9-]+\/?$/;
+const PROJECT_TEMPLATE = "/project-detail.html";
+const PROJECT_REGISTRY = "/data/projects.json";
+
+// Query parameters the manifest's share_target sends to the home page
+const SHARE_TARGET_PARAMS = ["title", "text", "url"];
+
+// Visitor preferences shared by the page, in their own cache so a new
+// worker version can read them while installing
+const SETTINGS_CACHE = "portfolio-settings";
+const LITE_MODE_SETTING = "/__settings/lite-mode";
+
+// Periodic sync tag and the content it keeps fresh (images are added too)
+const CONTENT_REFRESH_TAG = "content-refresh";
+const CONTENT_REFRESH_URLS = ["/", "/data/testimonials.json"];
+
+// Pages never offered in the offline page list
+const UNLISTED_PAGES = [OFFLINE_PAGE, PROJECT_TEMPLATE, "/thank-you.html"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Caching routes, checked in order; the first match handles the request.
+ *
+ * match:      RegExp tested against same-origin pathnames, or a function
+ *             receiving { request, url }
+ * strategy:   cache-first | network-first | stale-while-revalidate |
+ *             network-only | cache-only
+ * cacheName:  cache the route reads and writes (defaults to DYNAMIC_CACHE)
+ * maxEntries: evict least-recently-used entries beyond this count
+ * maxAge:     entries cached longer ago than this (ms) are expired
+ * timeout:    give up on the network after this many ms
+ * fallback:   response factory used when the strategy fails
+ *
+ * Network-only routes without a timeout or fallback are left to the browser.
+ */
+const ROUTES = [
+  {
+    // Live chat and review widgets must always talk to their own servers
+    name: "third-party-widgets",
+    match: ({ url }) =>
+      /(^|\.)(smartsupp\.com|trustpilot\.com)$/.test(url.hostname),
+    strategy: "network-only",
+  },
+  {
+    name: "google-fonts",
+    match: ({ url }) =>
+      url.hostname === "fonts.googleapis.com" ||
+      url.hostname === "fonts.gstatic.com",
+    strategy: "stale-while-revalidate",
+    cacheName: FONT_CACHE,
+    maxEntries: 20,
+    maxAge: 365 * DAY,
+  },
+  {
+    name: "cross-origin",
+    match: ({ url }) => url.origin !== location.origin,
+    strategy: "network-only",
+  },
+  {
+    name: "static-assets",
+    match: /\.(css|js|woff2?|ttf|eot)$/,
+    strategy: "cache-first",
+    cacheName: STATIC_CACHE,
+  },
+  {
+    name: "images",
+    match: /\.(jpg|jpeg|png|webp|avif|svg|gif)$/,
+    strategy: "cache-first",
+    cacheName: IMAGE_CACHE,
+    maxEntries: 50,
+    maxAge: 30 * DAY,
+    timeout: NETWORK_TIMEOUT,
+    fallback: getPlaceholderImage,
+  },
+  {
+    // Testimonials and project registry feeds
+    name: "data",
+    match: /^\/data\/.+\.json$/,
+    strategy: "stale-while-revalidate",
+    cacheName: DATA_CACHE,
+    maxEntries: 20,
+    maxAge: 7 * DAY,
+  },
+  {
+    // manifest.json share_target: the home page with shared text in the query
+    name: "share-target",
+    match: ({ request, url }) =>
+      request.mode === "navigate" &&
+      url.pathname === "/" &&
+      SHARE_TARGET_PARAMS.some((param) => url.searchParams.has(param)),
+    strategy: "network-only",
+    timeout: NETWORK_TIMEOUT,
+    fallback: getShareTargetPage,
+  },
+  {
+    name: "pages",
+    match: ({ request, url }) => request.mode === "navigate" || isPageUrl(url),
+    strategy: "network-first",
+    cacheName: DYNAMIC_CACHE,
+    maxEntries: 30,
+    maxAge: 7 * DAY,
+    timeout: NETWORK_TIMEOUT,
+    fallback: getOfflinePage,
+  },
+  {
+    name: "default",
+    match: () => true,
+    strategy: "network-first",
+    cacheName: DYNAMIC_CACHE,
+    maxEntries: 30,
+    timeout: NETWORK_TIMEOUT,
+  },
+];
+
+// Runtime caches that may be trimmed under storage pressure (never the precache)
+const EVICTABLE_CACHES = [
+  ...new Set(ROUTES.map((route) => route.cacheName || DYNAMIC_CACHE)),
+].filter((cacheName) => cacheName !== STATIC_CACHE);
+
+const STRATEGIES = {
+  "cache-first": cacheFirst,
+  "network-first": networkFirst,
+  "stale-while-revalidate": staleWhileRevalidate,
+  "network-only": networkOnly,
+  "cache-only": cacheOnly,
+};
+
 // Install event - cache static assets
 self.addEventListener("install", (event) => {
   console.log("🔧 Service Worker: Installing...");
@@ -53,19 +249,22 @@ self.addEventListener("install", (event) => {
       // Cache static assets
       caches.open(STATIC_CACHE).then((cache) => {
         console.log("📦 Service Worker: Caching static assets");
-        return cache.addAll(STATIC_ASSETS);
+        // Bypass the HTTP cache so a new version never precaches stale files
+        return cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" }))
+        );
       }),
 
-      // Cache critical images
-      caches.open(IMAGE_CACHE).then((cache) => {
-        console.log("🖼️ Service Worker: Caching critical images");
-        return cache.addAll(CRITICAL_IMAGES.filter((url) => url));
-      }),
+      // Cache critical images, unless the visitor is in lite mode
+      isLiteMode().then((lite) =>
+        lite
+          ? console.log("🪶 Service Worker: Lite mode, skipping image precache")
+          : precacheCriticalImages()
+      ),
     ])
       .then(() => {
+        // A new worker waits until the page sends SKIP_WAITING
         console.log("✅ Service Worker: Installation complete");
-        // Force activation of new service worker
-        return self.skipWaiting();
       })
       .catch((error) => {
         console.error("❌ Service Worker: Installation failed", error);
@@ -73,10 +272,96 @@ self.addEventListener("install", (event) => {
   );
 });
 
+// Cache critical images plus their medium variants from the image manifest.
+// Each image is cached on its own so one missing file can't fail the rest.
+async function precacheCriticalImages() {
+  console.log("🖼️ Service Worker: Caching critical images");
+
+  const cache = await caches.open(IMAGE_CACHE);
+  const urls = await getCriticalImageUrls();
+
+  const results = await Promise.allSettled(urls.map((url) => cache.add(url)));
+  const failed = results.filter((result) => result.status === "rejected");
+
+  if (failed.length > 0) {
+    console.warn(
+      `⚠️ Service Worker: ${failed.length} critical images could not be cached`
+    );
+  }
+}
+
+// The page reports lite mode (scripts/utils/liteMode.js) through SET_LITE_MODE.
+// Until it has, follow the connection the same way the page would.
+async function isLiteMode() {
+  const stored = await getLiteModeSetting();
+  if (stored !== null) return stored;
+
+  const connection = self.navigator.connection;
+  return Boolean(
+    connection &&
+      (connection.saveData || /2g$/.test(connection.effectiveType || ""))
+  );
+}
+
+async function getLiteModeSetting() {
+  const cache = await caches.open(SETTINGS_CACHE);
+  const response = await cache.match(LITE_MODE_SETTING);
+
+  return response ? (await response.json()).enabled : null;
+}
+
+async function setLiteModeSetting(enabled) {
+  const cache = await caches.open(SETTINGS_CACHE);
+  await cache.put(
+    LITE_MODE_SETTING,
+    new Response(JSON.stringify({ enabled }), {
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+}
+
+// Critical originals plus their medium WebP/JPEG variants from the manifest
+async function getCriticalImageUrls() {
+  const urls = [...CRITICAL_IMAGES];
+
+  try {
+    const response = await fetch(IMAGE_MANIFEST_URL, { cache: "no-cache" });
+
+    if (response.ok) {
+      const manifest = await response.json();
+
+      CRITICAL_IMAGES.forEach((url) => {
+        const name = url.split("/").pop().split(".")[0];
+        const image = manifest.images && manifest.images[name];
+        if (!image) return;
+
+        ["webp", "jpeg"].forEach((format) => {
+          const variant =
+            image.variants[format] && image.variants[format].medium;
+          if (variant) {
+            urls.push(variant.path);
+          }
+        });
+      });
+    }
+  } catch (error) {
+    console.warn("⚠️ Service Worker: Image manifest unavailable", error);
+  }
+
+  return urls;
+}
+
 // Activate event - clean up old caches
 self.addEventListener("activate", (event) => {
   console.log("🚀 Service Worker: Activating...");
 
+  const currentCaches = new Set([
+    STATIC_CACHE,
+    IMAGE_CACHE,
+    SETTINGS_CACHE,
+    ...ROUTES.map((route) => route.cacheName || DYNAMIC_CACHE),
+  ]);
+
   event.waitUntil(
     caches
       .keys()
@@ -84,17 +369,17 @@ self.addEventListener("activate", (event) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
             // Delete old caches
-            if (
-              cacheName !== STATIC_CACHE &&
-              cacheName !== DYNAMIC_CACHE &&
-              cacheName !== IMAGE_CACHE
-            ) {
+            if (!currentCaches.has(cacheName)) {
               console.log("🗑️ Service Worker: Deleting old cache", cacheName);
-              return caches.delete(cacheName);
+              return Promise.all([
+                caches.delete(cacheName),
+                cacheExpiration.forget(cacheName).catch(() => {}),
+              ]);
             }
           })
         );
       })
+      .then(() => expireCaches().catch(() => {}))
       .then(() => {
         console.log("✅ Service Worker: Activation complete");
         // Take control of all pages immediately
@@ -106,154 +391,189 @@ self.addEventListener("activate", (event) => {
 // Fetch event - handle network requests
 self.addEventListener("fetch", (event) => {
   const { request } = event;
-  const url = new URL(request.url);
 
   // Skip non-GET requests
   if (request.method !== "GET") {
     return;
   }
 
-  // Skip external requests
-  if (url.origin !== location.origin) {
+  const url = new URL(request.url);
+  const route = findRoute(request, url);
+
+  // Plain network-only routes are left to the browser
+  if (
+    !route ||
+    (route.strategy === "network-only" && !route.timeout && !route.fallback)
+  ) {
     return;
   }
 
-  event.respondWith(handleFetch(request));
+  event.respondWith(handleFetch(event, route));
 });
 
-async function handleFetch(request) {
-  const url = new URL(request.url);
+function findRoute(request, url) {
+  return ROUTES.find(({ match }) => {
+    if (match instanceof RegExp) {
+      return url.origin === location.origin && match.test(url.pathname);
+    }
+
+    return match({ request, url });
+  });
+}
+
+async function handleFetch(event, route) {
+  const strategy = STRATEGIES[route.strategy];
 
   try {
-    // Route different types of requests
-    if (isStaticAsset(url.pathname)) {
-      return await handleStaticAsset(request);
-    } else if (isImage(url.pathname)) {
-      return await handleImage(request);
-    } else if (isHTMLPage(url.pathname)) {
-      return await handleHTMLPage(request);
-    } else {
-      return await handleDynamic(request);
+    if (!strategy) {
+      throw new Error(`Unknown caching strategy "${route.strategy}"`);
     }
+
+    return await strategy(event, route);
   } catch (error) {
-    console.error("Service Worker: Fetch error", error);
-    return await handleOfflineFallback(request);
+    console.error(`Service Worker: ${route.name} route failed`, error);
+
+    if (route.fallback) {
+      return await route.fallback(event.request);
+    }
+
+    return new Response("Offline", {
+      status: 503,
+      statusText: "Service Unavailable",
+    });
   }
 }
 
-// Handle static assets (CSS, JS) - Cache First
-async function handleStaticAsset(request) {
-  const cache = await caches.open(STATIC_CACHE);
-  const cachedResponse = await cache.match(request);
+// Serve from cache, going to the network only on a miss
+async function cacheFirst(event, route) {
+  const cachedResponse = await matchCache(route, event.request);
 
   if (cachedResponse) {
-    // Return cached version and update in background
-    updateCacheInBackground(request, cache);
     return cachedResponse;
   }
 
-  // Fetch from network and cache
-  const networkResponse = await fetch(request);
-  if (networkResponse.ok) {
-    cache.put(request, networkResponse.clone());
-  }
+  return await fetchAndCache(event.request, route);
+}
 
-  return networkResponse;
+// Prefer fresh responses, falling back to the cache when the network fails
+async function networkFirst(event, route) {
+  try {
+    return await fetchAndCache(event.request, route);
+  } catch (error) {
+    // A stale copy beats no copy; the expiration sweep removes it later
+    const cachedResponse = await matchCache(route, event.request, {
+      allowExpired: true,
+    });
+
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+
+    throw error;
+  }
 }
 
-// Handle images - Cache First with fallback
-async function handleImage(request) {
-  const cache = await caches.open(IMAGE_CACHE);
-  const cachedResponse = await cache.match(request);
+// Answer from cache immediately and refresh it in the background
+async function staleWhileRevalidate(event, route) {
+  const cachedResponse = await matchCache(route, event.request);
+  const networkUpdate = fetchAndCache(event.request, route);
 
   if (cachedResponse) {
+    // Silently fail background updates
+    event.waitUntil(networkUpdate.catch(() => {}));
     return cachedResponse;
   }
 
-  try {
-    const networkResponse = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+  return await networkUpdate;
+}
 
-    if (networkResponse.ok) {
-      // Cache successful responses
-      cache.put(request, networkResponse.clone());
+async function networkOnly(event, route) {
+  return await fetchWithTimeout(event.request, route.timeout);
+}
 
-      // Limit cache size to prevent excessive storage
-      await limitCacheSize(IMAGE_CACHE, MAX_IMAGE_CACHE_SIZE);
-    }
+async function cacheOnly(event, route) {
+  const cachedResponse = await matchCache(route, event.request);
 
-    return networkResponse;
-  } catch (error) {
-    // Return placeholder image for failed requests
-    return await getPlaceholderImage();
+  if (!cachedResponse) {
+    throw new Error(`${event.request.url} is not cached`);
   }
+
+  return cachedResponse;
 }
 
-// Handle HTML pages - Network First with cache fallback
-async function handleHTMLPage(request) {
-  const cache = await caches.open(DYNAMIC_CACHE);
+// Look in the route's cache, then the precache. Expired entries count as a
+// miss unless `allowExpired` is set; hits refresh the entry's LRU access time.
+async function matchCache(route, request, { allowExpired = false } = {}) {
+  const cacheName = route.cacheName || DYNAMIC_CACHE;
+  const cache = await caches.open(cacheName);
+  const response = await cache.match(request);
 
-  try {
-    const networkResponse = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+  if (!response) {
+    return await caches
+      .open(STATIC_CACHE)
+      .then((precache) => precache.match(request));
+  }
 
-    if (networkResponse.ok) {
-      cache.put(request, networkResponse.clone());
+  try {
+    if (
+      !allowExpired &&
+      (await cacheExpiration.isExpired(cacheName, request.url, route.maxAge))
+    ) {
+      await cacheExpiration.delete(cacheName, [request.url]);
+      return null;
     }
 
-    return networkResponse;
+    await cacheExpiration.recordAccess(cacheName, request.url);
   } catch (error) {
-    // Fallback to cached version
-    const cachedResponse = await cache.match(request);
-
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-
-    // Fallback to offline page
-    return await getOfflinePage();
+    // Without IndexedDB the cache still works, just without expiration
   }
-}
-
-// Handle dynamic content - Network First
-async function handleDynamic(request) {
-  const cache = await caches.open(DYNAMIC_CACHE);
-
-  try {
-    const networkResponse = await fetchWithTimeout(request, NETWORK_TIMEOUT);
 
-    if (networkResponse.ok) {
-      cache.put(request, networkResponse.clone());
+  return response;
+}
 
-      // Limit cache size to prevent excessive storage
-      await limitCacheSize(DYNAMIC_CACHE, MAX_DYNAMIC_CACHE_SIZE);
-    }
+async function fetchAndCache(request, route) {
+  const networkResponse = await fetchWithTimeout(request, route.timeout);
 
-    return networkResponse;
-  } catch (error) {
-    const cachedResponse = await cache.match(request);
-    return cachedResponse || new Response("Offline", { status: 503 });
+  // Opaque cross-origin responses (e.g. fonts) report status 0
+  if (networkResponse.ok || networkResponse.type === "opaque") {
+    const cacheName = route.cacheName || DYNAMIC_CACHE;
+    const cache = await caches.open(cacheName);
+    await cache.put(request, networkResponse.clone());
+    await trackCacheWrite(cacheName, request, networkResponse, route);
   }
+
+  return networkResponse;
 }
 
-// Update cache in background
-async function updateCacheInBackground(request, cache) {
+// Record the write, then apply the route's limits and the storage quota
+async function trackCacheWrite(cacheName, request, response, route) {
   try {
-    const networkResponse = await fetch(request);
-    if (networkResponse.ok) {
-      cache.put(request, networkResponse.clone());
+    await cacheExpiration.recordInsert(cacheName, request.url, response);
+
+    if (route.maxEntries || route.maxAge) {
+      await cacheExpiration.expire(cacheName, route);
     }
+
+    await cacheExpiration.enforceQuota(EVICTABLE_CACHES);
   } catch (error) {
-    // Silently fail background updates
+    console.warn("⚠️ Service Worker: Cache expiration failed", error);
   }
 }
 
 // Fetch with timeout
 function fetchWithTimeout(request, timeout) {
+  if (!timeout) {
+    return fetch(request);
+  }
+
+  let timer;
+
   return Promise.race([
     fetch(request),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Network timeout")), timeout)
-    ),
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("Network timeout")), timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
 }
 
 // Get placeholder image for failed image requests
@@ -281,13 +601,36 @@ async function getPlaceholderImage() {
   );
 }
 
-// Get offline page
-async function getOfflinePage() {
-  const cache = await caches.open(STATIC_CACHE);
-  const offlineResponse = await cache.match("/");
+// Shared content is read from the query by main.js, so the cached home page
+// works for any share made while offline
+async function getShareTargetPage(request) {
+  return (await caches.match("/")) || getOfflinePage(request);
+}
+
+// Get offline page. Project routes fall back to the precached template,
+// which renders the case study from the precached registry.
+async function getOfflinePage(request) {
+  const url = new URL(request.url);
+
+  if (PROJECT_ROUTE.test(url.pathname)) {
+    const templateResponse = await caches.match(PROJECT_TEMPLATE);
+    if (templateResponse) {
+      return templateResponse;
+    }
+  }
+
+  const offlineResponse = await caches.match(OFFLINE_PAGE);
 
   if (offlineResponse) {
-    return offlineResponse;
+    // Mark the response so page transitions can tell it from the real page
+    const headers = new Headers(offlineResponse.headers);
+    headers.set("X-Offline-Fallback", "1");
+
+    return new Response(offlineResponse.body, {
+      status: offlineResponse.status,
+      statusText: offlineResponse.statusText,
+      headers,
+    });
   }
 
   // Generate a simple offline page
@@ -317,56 +660,172 @@ async function getOfflinePage() {
       headers: {
         "Content-Type": "text/html",
         "Cache-Control": "no-cache",
+        "X-Offline-Fallback": "1",
       },
     }
   );
 }
 
-// Handle offline fallback
-async function handleOfflineFallback(request) {
-  const url = new URL(request.url);
-
-  if (isImage(url.pathname)) {
-    return await getPlaceholderImage();
-  } else if (isHTMLPage(url.pathname)) {
-    return await getOfflinePage();
-  } else {
-    return new Response("Offline", {
-      status: 503,
-      statusText: "Service Unavailable",
-    });
+// Apply every route's limits, e.g. after activation
+async function expireCaches() {
+  for (const route of ROUTES) {
+    if (route.cacheName && (route.maxEntries || route.maxAge)) {
+      await cacheExpiration.expire(route.cacheName, route);
+    }
   }
+
+  await cacheExpiration.enforceQuota(EVICTABLE_CACHES, { force: true });
 }
 
-// Cache size management
-async function limitCacheSize(cacheName, maxSize) {
-  const cache = await caches.open(cacheName);
-  const keys = await cache.keys();
-
-  if (keys.length > maxSize) {
-    // Remove oldest entries (FIFO)
-    const keysToDelete = keys.slice(0, keys.length - maxSize);
-    await Promise.all(keysToDelete.map((key) => cache.delete(key)));
-    console.log(
-      `🗑️ Service Worker: Trimmed ${keysToDelete.length} items from ${cacheName}`
-    );
-  }
+function isPageUrl(url) {
+  return (
+    url.pathname === "/" ||
+    url.pathname.endsWith(".html") ||
+    !url.pathname.includes(".")
+  );
 }
 
-// Utility functions
-function isStaticAsset(pathname) {
-  return pathname.match(/\.(css|js|woff2?|ttf|eot)$/);
+// "/index.html" and "/" are the same page
+function normalizePagePath(pathname) {
+  return pathname === "/index.html" ? "/" : pathname.replace(/(.)\/$/, "$1");
 }
 
-function isImage(pathname) {
-  return pathname.match(/\.(jpg|jpeg|png|webp|svg|gif)$/);
+// Pages that can be shown offline, with their titles
+async function getCachedPages() {
+  const pages = new Map();
+
+  for (const cacheName of [STATIC_CACHE, DYNAMIC_CACHE]) {
+    const cache = await caches.open(cacheName);
+
+    for (const request of await cache.keys()) {
+      const url = new URL(request.url);
+      const path = normalizePagePath(url.pathname);
+
+      if (
+        url.origin !== location.origin ||
+        !isPageUrl(url) ||
+        UNLISTED_PAGES.includes(path) ||
+        pages.has(path)
+      ) {
+        continue;
+      }
+
+      const response = await cache.match(request);
+      const html = response ? await response.text() : "";
+      const title = (html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1];
+
+      pages.set(path, {
+        url: path,
+        title: title ? title.replace(/\s+/g, " ").trim() : path,
+      });
+    }
+  }
+
+  // Every case study is available once the template and registry are cached;
+  // registry titles replace the template's generic <title>
+  const registryResponse = await caches.match(PROJECT_REGISTRY);
+  if (registryResponse && (await caches.match(PROJECT_TEMPLATE))) {
+    try {
+      const registry = await registryResponse.json();
+
+      registry.projects.forEach((project) => {
+        const path = `/projects/${project.slug}`;
+        pages.set(path, { url: path, title: `${project.title} - Case Study` });
+      });
+    } catch (error) {
+      console.warn("⚠️ Service Worker: Cached project registry is invalid");
+    }
+  }
+
+  return [...pages.values()];
 }
 
-function isHTMLPage(pathname) {
-  return (
-    pathname === "/" || pathname.endsWith(".html") || !pathname.includes(".")
+/**
+ * Message protocol shared with PWAManager (scripts/utils/pwa.js).
+ * Requests are { type, ...options }; replies echo the type with a payload,
+ * or with an error message:
+ *   GET_VERSION      -> { version, cacheVersion, changelog }
+ *   SKIP_WAITING     -> activates this worker if it is waiting
+ *   CLEAR_CACHES     -> { cleared } (runtime caches; precache with
+ *                       { includePrecache: true }; settings are kept)
+ *   CACHE_STATUS     -> { version, cacheVersion, caches, usage, quota }
+ *   GET_CACHED_PAGES -> { pages: [{ url, title }] }
+ */
+const MESSAGE_HANDLERS = {
+  GET_VERSION: async () => ({
+    version: SW_VERSION,
+    cacheVersion: CACHE_VERSION,
+    changelog: CHANGELOG,
+  }),
+
+  SKIP_WAITING: async (data, event) => {
+    console.log("⏭️ Service Worker: Activating on request");
+    event.waitUntil(self.skipWaiting());
+    return { version: SW_VERSION };
+  },
+
+  CLEAR_CACHES: async ({ includePrecache = false }) => {
+    // Settings aren't cached content; clearing them would turn lite mode off
+    const cacheNames = includePrecache
+      ? (await caches.keys()).filter((name) => name !== SETTINGS_CACHE)
+      : EVICTABLE_CACHES;
+
+    await Promise.all(
+      cacheNames.map((cacheName) =>
+        Promise.all([
+          caches.delete(cacheName),
+          cacheExpiration.forget(cacheName).catch(() => {}),
+        ])
+      )
+    );
+
+    console.log("🗑️ Service Worker: Cleared caches", cacheNames);
+    return { cleared: cacheNames };
+  },
+
+  CACHE_STATUS: async () => ({
+    version: SW_VERSION,
+    cacheVersion: CACHE_VERSION,
+    ...(await cacheExpiration.getUsage([STATIC_CACHE, ...EVICTABLE_CACHES])),
+  }),
+
+  GET_CACHED_PAGES: async () => ({ pages: await getCachedPages() }),
+
+  SET_LITE_MODE: async ({ enabled }, event) => {
+    const previous = await getLiteModeSetting();
+    await setLiteModeSetting(Boolean(enabled));
+
+    // Images skipped at install time are fetched once lite mode is left
+    if (previous === true && !enabled) {
+      event.waitUntil(precacheCriticalImages());
+    }
+
+    return { enabled: Boolean(enabled) };
+  },
+};
+
+self.addEventListener("message", (event) => {
+  const { data } = event;
+  const handler = data && MESSAGE_HANDLERS[data.type];
+  if (!handler) return;
+
+  // Reply on the MessageChannel port when one is provided
+  const reply = (message) => {
+    if (event.ports && event.ports[0]) {
+      event.ports[0].postMessage(message);
+    } else if (event.source) {
+      event.source.postMessage(message);
+    }
+  };
+
+  event.waitUntil(
+    handler(data, event)
+      .then((payload) => reply({ type: data.type, payload }))
+      .catch((error) =>
+        reply({ type: data.type, error: String(error.message || error) })
+      )
   );
-}
+});
 
 // Background sync for form submissions
 self.addEventListener("sync", (event) => {
@@ -375,42 +834,86 @@ self.addEventListener("sync", (event) => {
   }
 });
 
+// Periodic background sync (registered by PWAManager once installed)
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === CONTENT_REFRESH_TAG) {
+    event.waitUntil(refreshContent());
+  }
+});
+
+/**
+ * Re-fetch the home page, testimonials and critical images through their
+ * routes so they land in the same caches with fresh expiration records.
+ * Skipped entirely with Save-Data, and images are left out in lite mode.
+ */
+async function refreshContent() {
+  const connection = self.navigator.connection;
+
+  if (connection && connection.saveData) {
+    console.log("⏭️ Service Worker: Save-Data is on, skipping content refresh");
+    return;
+  }
+
+  const urls = [...CONTENT_REFRESH_URLS];
+  if (!(await isLiteMode())) {
+    urls.push(...(await getCriticalImageUrls()));
+  }
+
+  const results = await Promise.allSettled(
+    urls.map((url) => {
+      const request = new Request(url, { cache: "no-cache" });
+      return fetchAndCache(request, findRoute(request, new URL(request.url)));
+    })
+  );
+
+  const failed = results.filter(
+    (result) => result.status === "rejected" || !result.value.ok
+  );
+
+  console.log(
+    `🔄 Service Worker: Refreshed ${urls.length - failed.length} of ${
+      urls.length
+    } items`
+  );
+}
+
 async function syncContactForm() {
   try {
-    // Get pending form submissions from IndexedDB
-    const submissions = await getPendingSubmissions();
-
-    for (const submission of submissions) {
-      try {
-        const response = await fetch("/api/contact", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(submission.data),
-        });
+    // Replay pending form submissions from the shared IndexedDB outbox
+    const summary = await formOutbox.flush();
 
-        if (response.ok) {
-          await removePendingSubmission(submission.id);
-          console.log("✅ Form submission synced successfully");
-        }
-      } catch (error) {
-        console.error("❌ Failed to sync form submission:", error);
-      }
+    if (summary.sent.length > 0) {
+      console.log(
+        `✅ Service Worker: Synced ${summary.sent.length} form submission(s)`
+      );
+    }
+
+    if (summary.failed.length > 0) {
+      console.warn(
+        `⚠️ Service Worker: ${summary.failed.length} form submission(s) gave up after repeated failures`
+      );
+    }
+
+    await notifyClients({ type: "OUTBOX_UPDATED", summary });
+
+    // Rejecting asks the browser to fire the sync event again later
+    if (summary.pending > 0) {
+      throw new Error(`${summary.pending} form submission(s) still pending`);
     }
   } catch (error) {
     console.error("❌ Background sync failed:", error);
+    throw error;
   }
 }
 
-// IndexedDB helpers (simplified)
-async function getPendingSubmissions() {
-  // In a real implementation, this would use IndexedDB
-  return [];
-}
+// Post a message to every open page controlled by this worker
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
 
-async function removePendingSubmission(id) {
-  // In a real implementation, this would remove from IndexedDB
+  clientList.forEach((client) => client.postMessage(message));
 }
 
 // Push notification handling
@@ -424,6 +927,7 @@ self.addEventListener("push", (event) => {
     icon: "/assets/icons/icon-192x192.png",
     badge: "/assets/icons/icon-72x72.png",
     vibrate: [200, 100, 200],
+    tag: data.tag,
     data: data.data || {},
     actions: data.actions || [],
   };
@@ -431,25 +935,71 @@ self.addEventListener("push", (event) => {
   event.waitUntil(self.registration.showNotification(data.title, options));
 });
 
+// Notification actions: each returns the URL to open, or null to just close.
+// A click on the notification body (no action) opens data.url.
+const NOTIFICATION_ACTIONS = {
+  "book-call": () => "/#contact",
+  "read-more": (data) => data.url || "/",
+  dismiss: () => null,
+};
+
+// Compare pages ignoring the hash, trailing slash and /index.html
+function getNotificationPageKey(url) {
+  const parsed = new URL(url, self.location.origin);
+  return `${parsed.origin}${normalizePagePath(parsed.pathname)}${
+    parsed.search
+  }`;
+}
+
+async function openNotificationTarget(url, message) {
+  const target = new URL(url, self.location.origin);
+  const targetKey = getNotificationPageKey(target.href);
+
+  const clientList = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+
+  // Reuse a window already showing the page and let it scroll to the section
+  const client = clientList.find(
+    (windowClient) => getNotificationPageKey(windowClient.url) === targetKey
+  );
+
+  if (client) {
+    const focused = ("focus" in client && (await client.focus())) || client;
+    focused.postMessage({
+      ...message,
+      url: target.href,
+      hash: target.hash,
+    });
+    return;
+  }
+
+  // A fresh window scrolls to the hash on load by itself
+  if (self.clients.openWindow) {
+    await self.clients.openWindow(target.href);
+  }
+}
+
 // Notification click handling
 self.addEventListener("notificationclick", (event) => {
-  event.notification.close();
+  const { notification, action } = event;
+  const data = notification.data || {};
+  notification.close();
 
-  const urlToOpen = event.notification.data.url || "/";
+  // Unknown actions behave like a click on the notification itself
+  const resolveUrl =
+    NOTIFICATION_ACTIONS[action] ||
+    ((notificationData) => notificationData.url || "/");
 
-  event.waitUntil(
-    clients.matchAll({ type: "window" }).then((clientList) => {
-      // Check if the site is already open
-      for (const client of clientList) {
-        if (client.url === urlToOpen && "focus" in client) {
-          return client.focus();
-        }
-      }
+  const url = resolveUrl(data);
+  if (!url) return;
 
-      // Open new window if not already open
-      if (clients.openWindow) {
-        return clients.openWindow(urlToOpen);
-      }
+  event.waitUntil(
+    openNotificationTarget(url, {
+      type: "NOTIFICATION_CLICK",
+      action: action || "open",
+      topic: data.topic || null,
     })
   );
 });